@@ -17,7 +17,7 @@ export default [
       }),
       commonjs()
     ],
-    external: ['cheerio']
+    external: ['cheerio', 'jsdom']
   },
   
   // CommonJS build for Node.js
@@ -35,7 +35,24 @@ export default [
       }),
       commonjs()
     ],
-    external: ['cheerio']
+    external: ['cheerio', 'jsdom']
+  },
+  
+  // Worker thread entry used by analyzeBatch (resolved next to dist/index.js)
+  {
+    input: 'src/batch-worker.js',
+    output: {
+      file: 'dist/batch-worker.js',
+      format: 'es',
+      sourcemap: true
+    },
+    plugins: [
+      nodeResolve({
+        preferBuiltins: true
+      }),
+      commonjs()
+    ],
+    external: ['cheerio', 'jsdom']
   },
   
   // Browser build (no cheerio dependency)
@@ -3,9 +3,16 @@
  * Provides comprehensive analysis of HTML content differences
  */
 
-import { stripTagsToText } from './html-filter.js';
-import { tokenize, countWords } from './tokenizer.js';
-import { generateDiffReport, calculateSimilarity } from './diff-engine.js';
+import { extractContent, extractTextVariants } from './html-filter.js';
+import { countWords } from './tokenizer.js';
+import { createTextContext } from './pipeline.js';
+import { compareStructure } from './structure-diff.js';
+import { compareStructuredData } from './structured-data.js';
+import { compareMetadata } from './metadata.js';
+import { compareLinks } from './links.js';
+import { compareOutline } from './outline.js';
+import { compareNoscript } from './noscript.js';
+import { scoreAnalysis, getSectionWeight } from './scoring.js';
 import { hashDJB2, formatNumberToK, pct } from './utils.js';
 
 /**
@@ -14,29 +21,102 @@ import { hashDJB2, formatNumberToK, pct } from './utils.js';
  * @param {string} finHtml - Final HTML content (what users see)
  * @param {Object} [options={}] - Analysis options
  * @param {boolean} [options.ignoreNavFooter=true] - Whether to ignore navigation/footer elements
+ * @param {string|string[]} [options.preset] - Named filter preset(s), see filterPresets
+ * @param {string|string[]} [options.excludeSelectors] - Additional selectors to remove
+ * @param {string|string[]} [options.includeSelectors] - Selectors never removed by exclusion rules
+ * @param {string} [options.rootSelector] - Only analyze content inside matching elements
+ * @param {boolean} [options.excludeHidden=false] - Drop hidden elements from the analyzed text
+ * @param {boolean} [options.hiddenStyles=false] - Also honor simple <style> rules when detecting hidden elements
+ * @param {Object} [options.initialOptions] - Filter options overriding the above for the initial HTML's text only,
+ *   e.g. { includeNoscript: true } to read it as a crawler without JavaScript does
+ * @param {boolean} [options.noscriptFallback=false] - Count <noscript> content as part of the initial HTML's text
+ * @param {boolean} [options.structural=false] - Also compare element trees (adds structureDiff)
+ * @param {boolean} [options.structuredData=false] - Also compare JSON-LD/microdata/RDFa (adds structuredData)
+ * @param {boolean} [options.metadata=false] - Also compare head metadata (adds metadata, used by generateVisibilityScore)
+ * @param {boolean} [options.links=false] - Also compare <a href> targets (adds links; resolved against options.baseUrl)
+ * @param {boolean} [options.outline=false] - Also compare heading outlines and landmarks (adds outline)
+ * @param {boolean} [options.sections=false] - Also score each heading-delimited section (adds sections)
+ * @param {boolean} [options.noscript=false] - Also report how well <noscript> fallback text covers the rendered
+ *   content (adds noscript)
+ * @param {Function|Array} [options.sectionWeights] - Section weights, see getSectionWeight
  * @returns {Object} Comprehensive analysis results
  */
 export function analyzeContentDifference(initHtml, finHtml, options = {}) {
-  const { ignoreNavFooter = true } = options;
+  const {
+    structural = false,
+    structuredData = false,
+    metadata = false,
+    links = false,
+    outline = false,
+    sections = false,
+    noscript = false,
+    noscriptFallback = false
+  } = options;
+  const initialOptions = { ...options, ...(noscriptFallback && { includeNoscript: true }), ...options.initialOptions };
   
-  const initText = stripTagsToText(initHtml, ignoreNavFooter);
-  const finText = stripTagsToText(finHtml, ignoreNavFooter);
+  const analysis = analyzeExtractedContent(
+    extractContent(initHtml, initialOptions),
+    extractContent(finHtml, options)
+  );
   
-  const initTextLength = initText.length;
-  const finTextLength = finText.length;
-  const textRetention = finTextLength > 0 ? initTextLength / finTextLength : 0;
+  if (structural) {
+    analysis.structureDiff = compareStructure(initHtml, finHtml, options);
+  }
   
-  const wordDiff = generateDiffReport(initText, finText, "word");
-  const lineDiff = generateDiffReport(initText, finText, "line");
+  if (structuredData) {
+    analysis.structuredData = compareStructuredData(initHtml, finHtml);
+  }
   
-  // Calculate additional metrics
-  const initTokens = tokenize(initText, "word");
-  const finTokens = tokenize(finText, "word");
+  if (metadata) {
+    analysis.metadata = compareMetadata(initHtml, finHtml);
+  }
   
-  const contentGain = initTokens.length > 0 ? finTokens.length / initTokens.length : 1;
-  const missingWords = Math.abs(finTokens.length - initTokens.length);
-  const citationReadability = calculateCitationReadability(initTokens.length, finTokens.length);
-  const similarity = calculateSimilarity(initText, finText, "word");
+  if (links) {
+    analysis.links = compareLinks(initHtml, finHtml, options);
+  }
+  
+  if (outline || sections) {
+    const outlineDiff = compareOutline(initHtml, finHtml, options);
+    if (outline) analysis.outline = outlineDiff;
+    if (sections) analysis.sections = getSectionVisibility(outlineDiff, options.sectionWeights);
+  }
+  
+  if (noscript) {
+    analysis.noscript = compareNoscript(initHtml, finHtml, options);
+  }
+  
+  return analysis;
+}
+
+/**
+ * Build the full analysis result from extracted content
+ * @param {Object} initContent - { text, hiddenText } of the initial HTML
+ * @param {Object} finContent - { text, hiddenText } of the final HTML
+ * @returns {Object} Comprehensive analysis results
+ */
+function analyzeExtractedContent(initContent, finContent) {
+  const analysis = analyzeTextContext(createTextContext(initContent.text, finContent.text));
+  
+  // Text hidden from users (CSS/ARIA/collapsed), reported whether or not it was excluded
+  analysis.metrics.hiddenWords = {
+    initial: countWords(initContent.hiddenText),
+    final: countWords(finContent.hiddenText)
+  };
+  
+  return analysis;
+}
+
+/**
+ * Build the full analysis result from a text context
+ * @param {Object} ctx - Context from createTextContext
+ * @returns {Object} Comprehensive analysis results
+ */
+function analyzeTextContext(ctx) {
+  const { initialText: initText, finalText: finText } = ctx;
+  
+  const initTextLength = initText.length;
+  const finTextLength = finText.length;
+  const textRetention = finTextLength > 0 ? initTextLength / finTextLength : 0;
   
   return {
     initialText: initText,
@@ -45,26 +125,66 @@ export function analyzeContentDifference(initHtml, finHtml, options = {}) {
     finalTextLength: finTextLength,
     textRetention,
     textRetentionPercent: pct(textRetention),
-    wordDiff,
-    lineDiff,
+    wordDiff: ctx.wordDiff,
+    lineDiff: ctx.lineDiff,
     initialTextHash: hashDJB2(initText),
     finalTextHash: hashDJB2(finText),
-    metrics: {
-      contentGain: Math.round(contentGain * 10) / 10,
-      contentGainFormatted: `${Math.round(contentGain * 10) / 10}x`,
-      missingWords,
-      missingWordsFormatted: formatNumberToK(missingWords),
-      citationReadability: Math.round(citationReadability),
-      similarity: Math.round(similarity * 10) / 10,
-      wordCount: {
-        initial: initTokens.length,
-        final: finTokens.length,
-        difference: finTokens.length - initTokens.length
-      }
+    metrics: calculateTextMetrics(ctx)
+  };
+}
+
+/**
+ * Calculate the word-count metrics of a text context
+ * Shared by analyzeContentDifference and the sync analyzeVisibility.
+ * @param {Object} ctx - Context from createTextContext
+ * @returns {Object} { contentGain, contentGainFormatted, missingWords, missingWordsFormatted,
+ *   citationReadability, similarity, wordCount }
+ */
+export function calculateTextMetrics(ctx) {
+  const initWords = ctx.initialTokens.length;
+  const finWords = ctx.finalTokens.length;
+  
+  const contentGain = initWords > 0 ? finWords / initWords : 1;
+  const missingWords = ctx.missingWords;
+  const citationReadability = calculateCitationReadability(initWords, finWords);
+  
+  return {
+    contentGain: Math.round(contentGain * 10) / 10,
+    contentGainFormatted: `${Math.round(contentGain * 10) / 10}x`,
+    missingWords,
+    missingWordsFormatted: formatNumberToK(missingWords),
+    citationReadability: Math.round(citationReadability),
+    similarity: Math.round(ctx.similarity * 10) / 10,
+    wordCount: {
+      initial: initWords,
+      final: finWords,
+      difference: finWords - initWords
     }
   };
 }
 
+/**
+ * Build per-section visibility metrics from an outline comparison
+ * @param {Object} outlineDiff - Result of compareOutline
+ * @param {Function|Array} [sectionWeights] - Section weights, see getSectionWeight
+ * @returns {Array} Sections as {heading, selector, initialWords, finalWords, missingWords, citationReadability, similarity, weight}
+ */
+function getSectionVisibility(outlineDiff, sectionWeights) {
+  return outlineDiff.sections.map(section => {
+    const result = {
+      heading: section.heading,
+      selector: section.selector,
+      initialWords: section.initialWords,
+      finalWords: section.renderedWords,
+      missingWords: section.missingWords,
+      citationReadability: Math.round(calculateCitationReadability(section.initialWords, section.renderedWords)),
+      similarity: section.similarity
+    };
+    result.weight = getSectionWeight(result, sectionWeights);
+    return result;
+  });
+}
+
 /**
  * Calculate citation readability score (how well AI can cite the content)
  * @param {number} initialWordCount - Word count in initial HTML
@@ -80,11 +200,24 @@ export function calculateCitationReadability(initialWordCount, finalWordCount) {
  * Analyze both scenarios: with and without navigation/footer filtering
  * @param {string} initHtml - Initial HTML content
  * @param {string} finHtml - Final HTML content
+ * @param {Object} [options={}] - Filter options applied to both scenarios (see analyzeContentDifference)
  * @returns {Object} Analysis results for both scenarios
  */
-export function analyzeBothScenarios(initHtml, finHtml) {
-  const withNavFooterIgnored = analyzeContentDifference(initHtml, finHtml, { ignoreNavFooter: true });
-  const withoutNavFooterIgnored = analyzeContentDifference(initHtml, finHtml, { ignoreNavFooter: false });
+export function analyzeBothScenarios(initHtml, finHtml, options = {}) {
+  // Parse each document once and derive both filtered texts from it
+  const initTexts = extractTextVariants(initHtml, options);
+  const finTexts = extractTextVariants(finHtml, options);
+  
+  const scenario = (texts, key) => ({ text: texts[key], hiddenText: texts.hiddenText[key] });
+  
+  const withNavFooterIgnored = analyzeExtractedContent(
+    scenario(initTexts, 'withoutNavFooter'),
+    scenario(finTexts, 'withoutNavFooter')
+  );
+  const withoutNavFooterIgnored = analyzeExtractedContent(
+    scenario(initTexts, 'withNavFooter'),
+    scenario(finTexts, 'withNavFooter')
+  );
   
   return {
     withNavFooterIgnored: {
@@ -100,54 +233,16 @@ export function analyzeBothScenarios(initHtml, finHtml) {
 
 /**
  * Generate a summary score for content visibility
+ *
+ * When the analysis has per-section results, the readability factor is the
+ * average section readability weighted by rendered words times section weight.
+ *
  * @param {Object} analysis - Analysis results from analyzeContentDifference
- * @returns {Object} Summary with score and description
+ * @param {Object} [options={}] - Scoring options
+ * @param {string|Object} [options.scoringProfile="default"] - Scoring profile name or definition, see resolveScoringProfile
+ * @param {Function|Array} [options.sectionWeights] - Override the weights stored on the sections
+ * @returns {Object} Summary with score, description and per-factor breakdown
  */
-export function generateVisibilityScore(analysis) {
-  const { citationReadability, similarity, contentGain } = analysis.metrics;
-  
-  // Weight the different factors
-  const readabilityWeight = 0.5;
-  const similarityWeight = 0.3;
-  const contentGainWeight = 0.2;
-  
-  // Normalize content gain (higher gain = lower score for visibility)
-  const normalizedContentGain = Math.min(100, Math.max(0, 100 - ((contentGain - 1) * 50)));
-  
-  const weightedScore = (
-    citationReadability * readabilityWeight +
-    similarity * similarityWeight +
-    normalizedContentGain * contentGainWeight
-  );
-  
-  const score = Math.round(weightedScore);
-  
-  let description;
-  let category;
-  
-  if (score >= 90) {
-    category = "excellent";
-    description = "Excellent - AI models can easily read and cite your content";
-  } else if (score >= 70) {
-    category = "good";
-    description = "Good - Most of your content is visible to AI models";
-  } else if (score >= 50) {
-    category = "fair";
-    description = "Fair - Some content may be missed by AI crawlers";
-  } else {
-    category = "poor";
-    description = "Poor - Significant content is hidden from AI models";
-  }
-  
-  return {
-    score,
-    category,
-    description,
-    breakdown: {
-      citationReadability,
-      similarity,
-      contentGain: normalizedContentGain
-    }
-  };
+export function generateVisibilityScore(analysis, options = {}) {
+  return scoreAnalysis(analysis, options);
 }
-
@@ -0,0 +1,237 @@
+/**
+ * Baseline snapshots and regression detection
+ * Saves the parts of an analysis worth tracking between releases as a
+ * versioned, JSON-serializable snapshot and compares later analyses to it
+ */
+
+import { generateVisibilityScore } from './analyzer.js';
+import { hashDJB2 } from './utils.js';
+
+export const BASELINE_VERSION = 1;
+
+/**
+ * Create a baseline snapshot from an analysis
+ *
+ * Sections and links are recorded when the analysis has them (run it with
+ * sections/outline and links enabled); the rendered text of each section is
+ * hashed when the outline is available.
+ *
+ * @param {Object} analysis - Result of analyzeContentDifference or analyzeVisibilityAsync
+ * @param {Object} [options={}] - Snapshot options; scoring options are passed to generateVisibilityScore
+ * @param {string} [options.label] - Release or build label
+ * @param {string} [options.id] - Page identifier
+ * @param {string} [options.url] - Page URL
+ * @param {string} [options.createdAt] - ISO timestamp (default: now)
+ * @returns {Object} Snapshot { version, createdAt, label, id, url, hashes, score, metrics, sections, links }
+ */
+export function createBaseline(analysis, options = {}) {
+  const { label = null, id = null, url = null, createdAt = new Date().toISOString() } = options;
+  const visibilityScore = analysis.visibilityScore || generateVisibilityScore(analysis, options);
+  const { metrics } = analysis;
+
+  return {
+    version: BASELINE_VERSION,
+    createdAt,
+    label,
+    id,
+    url,
+    hashes: {
+      initialText: analysis.initialTextHash ?? hashDJB2(analysis.initialText),
+      finalText: analysis.finalTextHash ?? hashDJB2(analysis.finalText)
+    },
+    score: {
+      score: visibilityScore.score,
+      category: visibilityScore.category,
+      profile: visibilityScore.breakdown?.profile ?? null
+    },
+    metrics: {
+      citationReadability: metrics.citationReadability,
+      similarity: metrics.similarity,
+      contentGain: metrics.contentGain,
+      missingWords: metrics.missingWords,
+      wordCount: { initial: metrics.wordCount.initial, final: metrics.wordCount.final }
+    },
+    sections: analysis.sections ? snapshotSections(analysis) : null,
+    links: analysis.links ? snapshotLinks(analysis.links) : null
+  };
+}
+
+/**
+ * Compare an analysis (or a newer snapshot) to a baseline snapshot
+ * @param {Object|string} snapshot - Baseline from createBaseline, or its JSON
+ * @param {Object} current - New analysis, or a snapshot of it
+ * @param {Object} [options={}] - Comparison options; other options are passed to createBaseline
+ * @param {number} [options.tolerance=5] - Score drop (in points) tolerated before it counts as a regression
+ * @returns {Object} { baseline, current, score, metrics, textChanged, sections, links, regressions, passed }
+ *   - regressions: {type: score-drop|section-hidden|js-only-link, severity, message, ...details}
+ */
+export function compareToBaseline(snapshot, current, options = {}) {
+  const { tolerance = 5, ...snapshotOptions } = options;
+  const baseline = typeof snapshot === 'string' ? JSON.parse(snapshot) : snapshot;
+  if (!baseline || typeof baseline.version !== 'number') {
+    throw new Error('Invalid baseline snapshot');
+  }
+  if (baseline.version > BASELINE_VERSION) {
+    throw new Error(`Unsupported baseline version: ${baseline.version}`);
+  }
+
+  const next = isBaseline(current) ? current : createBaseline(current, snapshotOptions);
+  const regressions = [];
+
+  const score = { baseline: baseline.score.score, current: next.score.score, delta: next.score.score - baseline.score.score };
+  if (score.delta < -tolerance) {
+    regressions.push({
+      type: 'score-drop',
+      severity: 'high',
+      message: `Visibility score dropped from ${score.baseline} to ${score.current} (${score.delta} points, tolerance ${tolerance})`,
+      ...score
+    });
+  }
+
+  const metrics = {};
+  ['citationReadability', 'similarity', 'contentGain', 'missingWords'].forEach(name => {
+    const delta = Math.round((next.metrics[name] - baseline.metrics[name]) * 10) / 10;
+    metrics[name] = { baseline: baseline.metrics[name], current: next.metrics[name], delta };
+  });
+
+  const sections = compareSections(baseline.sections, next.sections);
+  sections.hidden.forEach(section => regressions.push({
+    type: 'section-hidden',
+    severity: 'high',
+    message: section.heading
+      ? `Section "${section.heading}" is no longer in the initial HTML`
+      : 'Content before the first heading is no longer in the initial HTML',
+    ...section
+  }));
+
+  const links = compareLinkSets(baseline.links, next.links);
+  links.newJsOnly.forEach(link => regressions.push({
+    type: 'js-only-link',
+    severity: 'medium',
+    message: `Link ${link} is only discoverable after JavaScript runs`,
+    link
+  }));
+
+  return {
+    baseline,
+    current: next,
+    score,
+    metrics,
+    textChanged: {
+      initial: baseline.hashes.initialText !== next.hashes.initialText,
+      final: baseline.hashes.finalText !== next.hashes.finalText
+    },
+    sections,
+    links,
+    regressions,
+    passed: regressions.length === 0
+  };
+}
+
+/**
+ * Check whether a value is a baseline snapshot rather than an analysis
+ * @param {Object} value - Snapshot or analysis
+ * @returns {boolean} True for snapshots
+ */
+export function isBaseline(value) {
+  return Boolean(value) && typeof value.version === 'number' && Boolean(value.hashes) && Boolean(value.score);
+}
+
+/**
+ * Per-section snapshot entries
+ * @param {Object} analysis - Analysis with sections (and optionally outline)
+ * @returns {Array} {key, heading, level, selector, initialWords, finalWords, missingWords, citationReadability, textHash}
+ */
+function snapshotSections(analysis) {
+  const renderedText = new Map((analysis.outline?.rendered.sections || []).map(s => [s.selector, s.text]));
+  const occurrences = new Map();
+
+  return analysis.sections.map(section => ({
+    key: sectionKey(section, occurrences),
+    heading: section.heading ? section.heading.text : null,
+    level: section.heading ? section.heading.level : null,
+    selector: section.selector,
+    initialWords: section.initialWords,
+    finalWords: section.finalWords,
+    missingWords: section.missingWords,
+    citationReadability: section.citationReadability,
+    textHash: renderedText.has(section.selector) ? hashDJB2(renderedText.get(section.selector)) : null
+  }));
+}
+
+/**
+ * Links crawlers cannot discover without JavaScript
+ * @param {Object} links - Result of compareLinks
+ * @returns {Object} { jsOnly } as sorted URLs, or link text for javascript: pseudo-links
+ */
+function snapshotLinks(links) {
+  const jsOnly = new Set([
+    ...links.onlyRendered.map(link => link.url),
+    ...links.jsOnly.map(link => `javascript:${link.text || link.selector}`)
+  ]);
+  return { jsOnly: [...jsOnly].sort() };
+}
+
+/**
+ * Find sections that have become invisible in the initial HTML
+ * @param {Array|null} baseline - Baseline sections
+ * @param {Array|null} current - Current sections
+ * @returns {Object} { hidden, restored }; empty when either side has no section data
+ */
+function compareSections(baseline, current) {
+  if (!baseline || !current) return { hidden: [], restored: [] };
+
+  const isHidden = (section) => section.initialWords === 0 && section.finalWords > 0;
+  const baselineByKey = new Map(baseline.map(section => [section.key, section]));
+  const hidden = [];
+  const restored = [];
+
+  current.forEach(section => {
+    const previous = baselineByKey.get(section.key);
+    const entry = {
+      heading: section.heading,
+      selector: section.selector,
+      baselineWords: previous ? previous.initialWords : null,
+      finalWords: section.finalWords
+    };
+    // New sections that only exist after rendering count as newly hidden too
+    if (isHidden(section) && (!previous || !isHidden(previous))) hidden.push(entry);
+    else if (!isHidden(section) && previous && isHidden(previous)) restored.push(entry);
+  });
+
+  return { hidden, restored };
+}
+
+/**
+ * Diff the JS-only link sets of two snapshots
+ * @param {Object|null} baseline - Baseline links
+ * @param {Object|null} current - Current links
+ * @returns {Object} { newJsOnly, resolved }; empty when either side has no link data
+ */
+function compareLinkSets(baseline, current) {
+  if (!baseline || !current) return { newJsOnly: [], resolved: [] };
+
+  const before = new Set(baseline.jsOnly);
+  const after = new Set(current.jsOnly);
+  return {
+    newJsOnly: current.jsOnly.filter(link => !before.has(link)),
+    resolved: baseline.jsOnly.filter(link => !after.has(link))
+  };
+}
+
+/**
+ * Stable key matching sections across releases (selectors shift when markup changes)
+ *
+ * Repeated headings (several "Reviews" sections) are told apart by their
+ * occurrence: the first keeps the plain text, later ones get "#2", "#3", ...
+ *
+ * @param {Object} section - Section
+ * @param {Map} occurrences - Keys seen so far in this document, updated in place
+ * @returns {string} Lowercased heading text, or the selector for the heading-less intro
+ */
+function sectionKey(section, occurrences) {
+  const text = section.heading ? section.heading.text.toLowerCase().replace(/\s+/g, ' ').trim() : (section.selector || '');
+  const count = (occurrences.get(text) || 0) + 1;
+  occurrences.set(text, count);
+  return count > 1 ? `${text}#${count}` : text;
+}
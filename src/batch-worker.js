@@ -0,0 +1,11 @@
+/**
+ * Worker thread entry for analyzeBatch
+ * Receives { index, page, options } messages and posts back page results
+ */
+
+import { parentPort } from 'worker_threads';
+import { analyzePage } from './batch.js';
+
+parentPort.on('message', async ({ index, page, options }) => {
+  parentPort.postMessage(await analyzePage(page, index, options));
+});
@@ -0,0 +1,338 @@
+/**
+ * Batch analysis
+ * Analyzes many page pairs with bounded concurrency (worker threads), streams
+ * per-page results and aggregates them into a site-level summary
+ */
+
+import { readFile } from 'fs/promises';
+import { dirname, join, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import os from 'os';
+import v8 from 'v8';
+import { Worker } from 'worker_threads';
+import { analyzeContentDifference, generateVisibilityScore } from './analyzer.js';
+import { resolveScoringProfile, hasCustomScoringMetrics } from './scoring.js';
+import {
+  evaluateRecommendations,
+  hasCustomRecommendationRules,
+  getDisabledRecommendationRules
+} from './recommendations.js';
+import { getMissingContent } from './missing-content.js';
+
+const CATEGORY_ORDER = ['excellent', 'good', 'fair', 'poor'];
+
+// Worker entry next to this module (src/ in development, dist/ when built)
+const WORKER_PATH = join(dirname(fileURLToPath(import.meta.url)), 'batch-worker.js');
+
+/**
+ * Analyze a batch of pages and summarize the results
+ * @param {Array|string} pairs - Pages as { id, url, initialHtml, renderedHtml } (or initialPath/renderedPath),
+ *   or the path of a JSON manifest holding such an array (or { pages: [...] })
+ * @param {Object} [options={}] - Batch options; other options are passed to analyzeContentDifference
+ *   and generateVisibilityScore
+ * @param {number} [options.concurrency] - Worker threads analyzing pages in parallel (default: available CPUs)
+ * @param {boolean} [options.workers=true] - Use worker threads when concurrency allows it and the options
+ *   can be structured-cloned (checked with v8.serialize where structuredClone is missing, as on Node 16);
+ *   without workers, pages are analyzed one at a time whatever the concurrency
+ * @param {Function} [options.onResult] - Called with each page result as soon as it is ready
+ * @param {boolean} [options.includeAnalysis=false] - Keep the full analysis on each result
+ * @param {number} [options.worstCount=10] - Number of worst pages in the summary
+ * @returns {Promise<Object>} { results, summary } with results in input order
+ */
+export async function analyzeBatch(pairs, options = {}) {
+  const { onResult, worstCount = 10, ...streamOptions } = options;
+  const results = [];
+
+  for await (const result of analyzeBatchStream(pairs, streamOptions)) {
+    results.push(result);
+    if (onResult) await onResult(result);
+  }
+
+  results.sort((a, b) => a.index - b.index);
+  return { results, summary: summarizeBatch(results, { worstCount }) };
+}
+
+/**
+ * Analyze a batch of pages, yielding each result as it completes
+ * @param {Array|string} pairs - Pages or manifest path, see analyzeBatch
+ * @param {Object} [options={}] - Batch and analysis options, see analyzeBatch
+ * @returns {AsyncGenerator<Object>} Page results in completion order
+ */
+export async function* analyzeBatchStream(pairs, options = {}) {
+  const {
+    concurrency = (os.availableParallelism ? os.availableParallelism() : os.cpus().length),
+    workers = true,
+    ...analysisOptions
+  } = options;
+  const pages = await loadPages(pairs);
+
+  const workerOptions = workers && concurrency > 1 && pages.length > 1 ? getWorkerOptions(analysisOptions) : null;
+
+  if (!workerOptions) {
+    for (let i = 0; i < pages.length; i++) {
+      yield await analyzePage(pages[i], i, analysisOptions);
+    }
+    return;
+  }
+
+  yield* analyzeInWorkers(pages, workerOptions, Math.min(concurrency, pages.length));
+}
+
+/**
+ * Analyze one page of a batch
+ * @param {Object} page - { id, url, initialHtml, renderedHtml, initialPath, renderedPath }
+ * @param {number} index - Position in the batch
+ * @param {Object} options - Analysis options (plus includeAnalysis)
+ * @returns {Promise<Object>} { index, id, url, score, category, description, breakdown, metrics, findings }
+ *   or { index, id, url, error } when the page could not be analyzed
+ */
+export async function analyzePage(page, index, options = {}) {
+  const { includeAnalysis = false, ...analysisOptions } = options;
+  const base = getPageBase(page, index);
+
+  try {
+    const initialHtml = page.initialHtml ?? (page.initialPath ? await readFile(page.initialPath, 'utf8') : null);
+    const renderedHtml = page.renderedHtml ?? (page.renderedPath ? await readFile(page.renderedPath, 'utf8') : null);
+    if (initialHtml === null || renderedHtml === null) {
+      throw new Error('Page needs initialHtml/initialPath and renderedHtml/renderedPath');
+    }
+
+    const analysis = analyzeContentDifference(initialHtml, renderedHtml, analysisOptions);
+    const visibilityScore = generateVisibilityScore(analysis, analysisOptions);
+
+    let missingContent;
+    const findings = evaluateRecommendations({
+      metrics: analysis.metrics,
+      structuredData: analysis.structuredData,
+      metadata: analysis.metadata,
+      get missingContent() {
+        if (missingContent === undefined) missingContent = getMissingContent(initialHtml, renderedHtml, analysisOptions);
+        return missingContent;
+      }
+    }, analysisOptions);
+
+    return {
+      ...base,
+      score: visibilityScore.score,
+      category: visibilityScore.category,
+      description: visibilityScore.description,
+      breakdown: visibilityScore.breakdown,
+      metrics: analysis.metrics,
+      findings,
+      ...(includeAnalysis && { analysis })
+    };
+  } catch (e) {
+    return { ...base, error: e.message };
+  }
+}
+
+/**
+ * Aggregate page results
+ * @param {Array} results - Page results from analyzeBatch
+ * @param {Object} [options={}] - Summary options
+ * @param {number} [options.worstCount=10] - Number of worst pages to list
+ * @returns {Object} { pages, analyzed, errors, averageScore, medianScore, byCategory, histogram,
+ *   worstPages, topRecommendations }
+ */
+export function summarizeBatch(results, options = {}) {
+  const { worstCount = 10 } = options;
+  const analyzed = results.filter(r => !r.error);
+  const scores = analyzed.map(r => r.score).sort((a, b) => a - b);
+
+  const byCategory = Object.fromEntries(CATEGORY_ORDER.map(category => [category, 0]));
+  analyzed.forEach(r => { byCategory[r.category] = (byCategory[r.category] || 0) + 1; });
+
+  // Ten-point buckets, with 100 counted in the top bucket
+  const histogram = {};
+  for (let low = 0; low < 100; low += 10) histogram[`${low}-${low === 90 ? 100 : low + 9}`] = 0;
+  scores.forEach(score => {
+    const low = Math.min(90, Math.floor(score / 10) * 10);
+    histogram[`${low}-${low === 90 ? 100 : low + 9}`]++;
+  });
+
+  const recommendationCounts = new Map();
+  analyzed.forEach(r => r.findings.forEach(finding => {
+    const entry = recommendationCounts.get(finding.id) || { id: finding.id, severity: finding.severity, count: 0, pages: [] };
+    entry.count++;
+    entry.pages.push(r.id);
+    recommendationCounts.set(finding.id, entry);
+  }));
+
+  return {
+    pages: results.length,
+    analyzed: analyzed.length,
+    errors: results.length - analyzed.length,
+    averageScore: scores.length > 0 ? Math.round(scores.reduce((sum, s) => sum + s, 0) / scores.length) : 0,
+    medianScore: scores.length > 0 ? scores[Math.floor((scores.length - 1) / 2)] : 0,
+    byCategory,
+    histogram,
+    worstPages: [...analyzed]
+      .sort((a, b) => a.score - b.score || a.index - b.index)
+      .slice(0, worstCount)
+      .map(({ id, url, score, category }) => ({ id, url, score, category })),
+    topRecommendations: [...recommendationCounts.values()].sort((a, b) => b.count - a.count)
+  };
+}
+
+/**
+ * Normalize the batch input to an array of pages
+ * @param {Array|string} pairs - Pages or manifest path
+ * @returns {Promise<Array>} Pages; manifest file paths are resolved against the manifest directory
+ */
+async function loadPages(pairs) {
+  if (Array.isArray(pairs)) return pairs;
+  if (typeof pairs !== 'string') {
+    throw new Error('analyzeBatch expects an array of pages or a manifest path');
+  }
+
+  const manifest = JSON.parse(await readFile(pairs, 'utf8'));
+  const pages = Array.isArray(manifest) ? manifest : manifest.pages;
+  if (!Array.isArray(pages)) {
+    throw new Error(`Manifest ${pairs} must be an array or have a "pages" array`);
+  }
+
+  const base = dirname(resolve(pairs));
+  return pages.map(page => ({
+    ...page,
+    ...(page.initialPath && { initialPath: resolve(base, page.initialPath) }),
+    ...(page.renderedPath && { renderedPath: resolve(base, page.renderedPath) })
+  }));
+}
+
+/**
+ * Identify a page in its result
+ * @param {Object} page - Page
+ * @param {number} index - Position in the batch
+ * @returns {Object} { index, id, url }
+ */
+function getPageBase(page, index) {
+  return { index, id: page.id ?? page.url ?? String(index), url: page.url ?? null };
+}
+
+/**
+ * Run pages through a pool of worker threads
+ *
+ * A worker that dies (error, process.exit, killed) fails the page it was
+ * analyzing and is replaced, so the rest of the batch still completes. A page
+ * that cannot be posted to a worker fails on its own. Workers are terminated
+ * when the batch ends, fails or is abandoned by the consumer.
+ *
+ * @param {Array} pages - Pages
+ * @param {Object} options - Analysis options (structured-cloneable)
+ * @param {number} size - Pool size
+ * @returns {AsyncGenerator<Object>} Page results in completion order
+ */
+async function* analyzeInWorkers(pages, options, size) {
+  const completed = [];
+  const pool = new Set();
+  let next = 0;
+  let closing = false;
+  let notify = null;
+
+  const wake = () => {
+    if (notify) notify();
+    notify = null;
+  };
+  const dispatch = (worker, state) => {
+    state.index = null;
+    while (next < pages.length) {
+      const index = next++;
+      try {
+        worker.postMessage({ index, page: pages[index], options });
+        state.index = index;
+        return;
+      } catch (err) {
+        // The page cannot be structured-cloned; fail it and send the next one
+        completed.push({ ...getPageBase(pages[index], index), error: err.message });
+      }
+    }
+  };
+  const spawn = () => {
+    const worker = new Worker(WORKER_PATH);
+    const state = { index: null, error: null };
+    worker.on('message', (result) => {
+      completed.push(result);
+      dispatch(worker, state);
+      wake();
+    });
+    worker.on('error', (err) => {
+      state.error = err;
+    });
+    worker.on('exit', (code) => {
+      pool.delete(worker);
+      if (closing || state.index === null) return;
+      const reason = state.error ? state.error.message : `Worker exited with code ${code}`;
+      completed.push({ ...getPageBase(pages[state.index], state.index), error: reason });
+      if (next < pages.length) spawn();
+      wake();
+    });
+    pool.add(worker);
+    dispatch(worker, state);
+  };
+
+  try {
+    for (let i = 0; i < size; i++) spawn();
+
+    for (let done = 0; done < pages.length;) {
+      if (completed.length === 0) {
+        await new Promise(resolvePromise => { notify = resolvePromise; });
+        continue;
+      }
+      done++;
+      yield completed.shift();
+    }
+  } finally {
+    closing = true;
+    await Promise.all([...pool].map(worker => worker.terminate()));
+  }
+}
+
+/**
+ * Prepare analysis options for worker threads, which start without anything
+ * registered in this thread
+ *
+ * The scoring profile is resolved here and disabled rules are passed as
+ * disableRules. Registered metrics and rules are functions that cannot be
+ * sent, and neither can function options (inline metrics, section weight
+ * callbacks); any of them keeps the batch in-thread.
+ *
+ * @param {Object} options - Analysis options
+ * @returns {Object|null} Options to post to workers, or null to analyze in-thread
+ */
+function getWorkerOptions(options) {
+  if (hasCustomScoringMetrics() || hasCustomRecommendationRules()) return null;
+
+  let scoringProfile;
+  try {
+    scoringProfile = resolveScoringProfile(options.scoringProfile);
+  } catch (e) {
+    // Reported per page by analyzePage
+    return null;
+  }
+
+  const workerOptions = {
+    ...options,
+    scoringProfile,
+    disableRules: [...(options.disableRules || []), ...getDisabledRecommendationRules()]
+  };
+  return isCloneable(workerOptions) ? workerOptions : null;
+}
+
+/**
+ * Check whether options can be posted to a worker
+ *
+ * Node 16 has no global structuredClone; v8.serialize applies the same
+ * structured clone algorithm that postMessage uses.
+ *
+ * @param {Object} value - Options
+ * @returns {boolean} True when the value survives a structured clone
+ */
+function isCloneable(value) {
+  try {
+    if (typeof structuredClone === 'function') structuredClone(value);
+    else v8.serialize(value);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
@@ -13,11 +13,32 @@ export {
 
 export { 
   diffTokens, 
+  diffTokenArrays, 
   generateDiffReport, 
+  buildDiffReport, 
   calculateSimilarity, 
+  similarityFromCounts, 
   generateHtmlDiff 
 } from './diff-engine.js';
 
+export { 
+  navigationSelectors, 
+  filterPresets, 
+  resolveFilterOptions 
+} from './filter-rules.js';
+
+export { findMainContent } from './main-content.js';
+
+export { 
+  isHiddenElement, 
+  parseHiddenStyleSelectors, 
+  collectHiddenNodes 
+} from './visibility.js';
+
+export { renderHtmlReport } from './report.js';
+
+export { toMarkdown, toJUnit, toSarif } from './serializers.js';
+
 export { 
   hashDJB2, 
   pct, 
@@ -32,11 +53,12 @@ export {
 /**
  * Browser-specific HTML filtering (uses DOMParser)
  * @param {string} htmlContent - HTML content to filter
- * @param {boolean} [ignoreNavFooter=true] - Remove navigation/footer elements
+ * @param {boolean|Object} [options=true] - Remove navigation/footer elements, or filter options
+ *   ({ ignoreNavFooter, preset, excludeSelectors, includeSelectors, rootSelector })
  * @param {boolean} [returnText=true] - Return text only or filtered HTML
  * @returns {string} Filtered content
  */
-export function filterHtmlContent(htmlContent, ignoreNavFooter = true, returnText = true) {
+export function filterHtmlContent(htmlContent, options = true, returnText = true) {
   if (!htmlContent) return "";
   
   if (typeof document === 'undefined' || typeof DOMParser === 'undefined') {
@@ -44,21 +66,7 @@ export function filterHtmlContent(htmlContent, ignoreNavFooter = true, returnTex
   }
   
   const parser = new DOMParser();
-  const doc = parser.parseFromString(htmlContent, "text/html");
-  
-  // Get the body element, if it doesn't exist, use the entire document
-  const bodyElement = doc.body || doc.documentElement;
-  
-  // Always remove script, style, noscript, template elements
-  bodyElement.querySelectorAll("script,style,noscript,template").forEach(n => n.remove());
-  
-  // Remove all media elements (images, videos, audio, etc.) to keep only text
-  bodyElement.querySelectorAll("img,video,audio,picture,svg,canvas,embed,object,iframe").forEach(n => n.remove());
-  
-  // Conditionally remove navigation and footer elements
-  if (ignoreNavFooter) {
-    filterNavigationAndFooter(bodyElement);
-  }
+  const bodyElement = filterDomDocument(parser.parseFromString(htmlContent, "text/html"), options).root;
   
   if (returnText) {
     return (bodyElement && bodyElement.textContent) ? bodyElement.textContent : "";
@@ -70,61 +78,63 @@ export function filterHtmlContent(htmlContent, ignoreNavFooter = true, returnTex
 /**
  * Extract plain text from HTML content (browser-only)
  * @param {string} htmlContent - HTML content
- * @param {boolean} [ignoreNavFooter=true] - Remove navigation/footer elements
+ * @param {boolean|Object} [options=true] - Remove navigation/footer elements, or filter options
  * @returns {string} Plain text content
  */
-export function stripTagsToText(htmlContent, ignoreNavFooter = true) {
-  return filterHtmlContent(htmlContent, ignoreNavFooter, true);
+export function stripTagsToText(htmlContent, options = true) {
+  return filterHtmlContent(htmlContent, options, true);
 }
 
 /**
- * Remove navigation and footer elements from DOM element
- * @param {Element} element - DOM element to filter
+ * Extract plain text together with the text of hidden elements (browser-only)
+ * @param {string} htmlContent - HTML content
+ * @param {boolean|Object} [options=true] - Remove navigation/footer elements, or filter options
+ * @returns {Object} { text, hiddenText }
  */
-function filterNavigationAndFooter(element) {
-  const navigationSelectors = [
-    'nav', 'header', 'footer', 
-    '.nav', '.navigation', '.navbar', '.nav-bar', '.menu', '.main-menu',
-    '.header', '.site-header', '.page-header', '.top-header',
-    '.footer', '.site-footer', '.page-footer', '.bottom-footer',
-    '.breadcrumb', '.breadcrumbs',
-    '[role="navigation"]', '[role="banner"]', '[role="contentinfo"]',
-    '.navigation-wrapper', '.nav-wrapper', '.header-wrapper', '.footer-wrapper',
-    '.site-navigation', '.primary-navigation', '.secondary-navigation',
-    '.top-nav', '.bottom-nav', '.sidebar-nav',
-    '#nav', '#navigation', '#navbar', '#header', '#footer', '#menu', '#main-menu',
-    '#site-header', '#site-footer', '#page-header', '#page-footer'
-  ];
+export function extractContent(htmlContent, options = true) {
+  if (!htmlContent) return { text: "", hiddenText: "" };
   
-  const allSelectors = navigationSelectors.join(',');
-  const elements = element.querySelectorAll(allSelectors);
-  elements.forEach(el => el.remove());
+  if (typeof document === 'undefined' || typeof DOMParser === 'undefined') {
+    throw new Error('Browser environment required - use main package for Node.js');
+  }
+  
+  const parser = new DOMParser();
+  const { root, hiddenText } = filterDomDocument(parser.parseFromString(htmlContent, "text/html"), options);
+  return { text: root.textContent || "", hiddenText };
 }
 
 // Browser-specific analyzer functions
-import { calculateSimilarity } from './diff-engine.js';
+import { createTextContext } from './pipeline.js';
+import { filterDomDocument } from './filter-rules.js';
 import { countWords } from './tokenizer.js';
 
 /**
  * Analyze content difference (browser version)
  * @param {string} initHtml - Initial HTML content
  * @param {string} finHtml - Final HTML content
- * @param {Object} [options={}] - Analysis options
+ * @param {Object} [options={}] - Analysis options (same filter options as the Node.js entry point)
+ * @param {Object} [options.initialOptions] - Filter options overriding options for the initial HTML only
+ * @param {boolean} [options.noscriptFallback=false] - Count <noscript> content as part of the initial HTML's text
  * @returns {Object} Analysis results
  */
 export function analyzeContentDifference(initHtml, finHtml, options = {}) {
-  const { ignoreNavFooter = true } = options;
-  
-  const initText = stripTagsToText(initHtml, ignoreNavFooter);
-  const finText = stripTagsToText(finHtml, ignoreNavFooter);
+  const initContent = extractContent(initHtml, {
+    ...options,
+    ...(options.noscriptFallback && { includeNoscript: true }),
+    ...options.initialOptions
+  });
+  const finContent = extractContent(finHtml, options);
+  const initText = initContent.text;
+  const finText = finContent.text;
+  const ctx = createTextContext(initText, finText);
   
-  const initWords = countWords(initText);
-  const finWords = countWords(finText);
+  const initWords = ctx.initialTokens.length;
+  const finWords = ctx.finalTokens.length;
   
   const contentGain = initWords > 0 ? finWords / initWords : 1;
-  const missingWords = Math.abs(finWords - initWords);
+  const missingWords = ctx.missingWords;
   const citationReadability = finWords > 0 ? Math.min(100, (initWords / finWords) * 100) : 100;
-  const similarity = calculateSimilarity(initText, finText);
+  const similarity = ctx.similarity;
   
   return {
     initialText: initText,
@@ -138,6 +148,10 @@ export function analyzeContentDifference(initHtml, finHtml, options = {}) {
         initial: initWords,
         final: finWords,
         difference: finWords - initWords
+      },
+      hiddenWords: {
+        initial: countWords(initContent.hiddenText),
+        final: countWords(finContent.hiddenText)
       }
     }
   };
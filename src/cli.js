@@ -0,0 +1,261 @@
+/**
+ * Command-line interface
+ * html-visibility compare <initial> <rendered> compares two HTML files, or
+ * every pair of same-named .html files when both arguments are directories
+ */
+
+import { readFile, readdir, stat } from 'fs/promises';
+import { join, basename, extname } from 'path';
+import { getCitationReadiness } from './index.js';
+import { toMarkdown, toJUnit, toSarif } from './serializers.js';
+
+const FORMATS = ['text', 'json', 'markdown', 'junit', 'sarif'];
+
+const USAGE = `Usage: html-visibility compare <initial> <rendered> [options]
+
+Compare HTML as crawlers see it (initial) with HTML as users see it (rendered).
+When both arguments are directories, files are paired by name.
+
+Options:
+  --ignore-nav-footer      Ignore navigation/footer elements (default)
+  --no-ignore-nav-footer   Keep navigation/footer elements
+  --format <format>        Output format: text, json, markdown, junit or sarif (default: text)
+  --fail-under <score>     Exit with code 1 when a page scores below <score>
+                           (also the JUnit failure threshold)
+  --profile <name>         Scoring profile (default, editorial, strict, ...)
+  -h, --help               Show this help`;
+
+/**
+ * Run the CLI
+ * @param {string[]} argv - Arguments without the node and script paths
+ * @param {Object} [io] - Output streams
+ * @param {Object} [io.stdout=process.stdout] - Stream for results
+ * @param {Object} [io.stderr=process.stderr] - Stream for errors
+ * @returns {Promise<number>} Exit code: 0 success, 1 score below --fail-under, 2 usage or input error
+ */
+export async function runCli(argv, io = {}) {
+  const { stdout = process.stdout, stderr = process.stderr } = io;
+
+  let args;
+  try {
+    args = parseArgs(argv);
+  } catch (e) {
+    stderr.write(`${e.message}\n\n${USAGE}\n`);
+    return 2;
+  }
+
+  if (args.help) {
+    stdout.write(`${USAGE}\n`);
+    return 0;
+  }
+
+  const options = {
+    ignoreNavFooter: args.ignoreNavFooter,
+    ...(args.profile && { scoringProfile: args.profile })
+  };
+
+  let report;
+  let batch = false;
+  try {
+    const [initialPath, renderedPath] = args.paths;
+    const [initialStat, renderedStat] = await Promise.all([stat(initialPath), stat(renderedPath)]);
+
+    if (initialStat.isDirectory() && renderedStat.isDirectory()) {
+      report = await compareDirectories(initialPath, renderedPath, options);
+      batch = true;
+    } else if (initialStat.isFile() && renderedStat.isFile()) {
+      report = { results: [await compareFiles(basename(renderedPath), initialPath, renderedPath, options)], unmatched: [] };
+    } else {
+      throw new Error('Both arguments must be files or both must be directories');
+    }
+  } catch (e) {
+    stderr.write(`Error: ${e.message}\n`);
+    return 2;
+  }
+
+  report.summary = summarize(report, args.failUnder);
+  stdout.write(formatReport(report, args.format, batch));
+
+  return report.summary.failing > 0 ? 1 : 0;
+}
+
+/**
+ * Parse command-line arguments
+ * @param {string[]} argv - Raw arguments
+ * @returns {Object} { paths, format, failUnder, ignoreNavFooter, profile, help }
+ */
+function parseArgs(argv) {
+  const args = { paths: [], format: 'text', failUnder: null, ignoreNavFooter: true, profile: null, help: false };
+  const positional = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const [flag, inlineValue] = arg.startsWith('--') ? arg.split(/=(.*)/s) : [arg];
+    const value = () => {
+      if (inlineValue !== undefined) return inlineValue;
+      if (i + 1 >= argv.length) throw new Error(`Missing value for ${flag}`);
+      return argv[++i];
+    };
+
+    if (flag === '-h' || flag === '--help') args.help = true;
+    else if (flag === '--ignore-nav-footer') args.ignoreNavFooter = true;
+    else if (flag === '--no-ignore-nav-footer') args.ignoreNavFooter = false;
+    else if (flag === '--format') args.format = value();
+    else if (flag === '--fail-under') args.failUnder = Number(value());
+    else if (flag === '--profile') args.profile = value();
+    else if (flag.startsWith('-')) throw new Error(`Unknown option: ${flag}`);
+    else positional.push(arg);
+  }
+
+  if (args.help) return args;
+
+  if (!FORMATS.includes(args.format)) {
+    throw new Error(`Unknown format: ${args.format}`);
+  }
+  if (args.failUnder !== null && !Number.isFinite(args.failUnder)) {
+    throw new Error('--fail-under expects a number');
+  }
+  if (positional[0] !== 'compare' || positional.length !== 3) {
+    throw new Error('Expected: compare <initial> <rendered>');
+  }
+
+  args.paths = positional.slice(1);
+  return args;
+}
+
+/**
+ * Analyze one pair of files
+ * @param {string} name - Display name
+ * @param {string} initialPath - Initial HTML file
+ * @param {string} renderedPath - Rendered HTML file
+ * @param {Object} options - Analysis options
+ * @returns {Promise<Object>} { name, initial, rendered, ...getCitationReadiness result }
+ */
+async function compareFiles(name, initialPath, renderedPath, options) {
+  const [initialHtml, renderedHtml] = await Promise.all([
+    readFile(initialPath, 'utf8'),
+    readFile(renderedPath, 'utf8')
+  ]);
+  return {
+    name,
+    initial: initialPath,
+    rendered: renderedPath,
+    ...getCitationReadiness(initialHtml, renderedHtml, options)
+  };
+}
+
+/**
+ * Analyze every .html/.htm file present in both directories
+ * @param {string} initialDir - Directory of initial HTML files
+ * @param {string} renderedDir - Directory of rendered HTML files
+ * @param {Object} options - Analysis options
+ * @returns {Promise<Object>} { results, unmatched } where unmatched lists files without a counterpart
+ */
+async function compareDirectories(initialDir, renderedDir, options) {
+  const listHtml = async (dir) => (await readdir(dir))
+    .filter(file => ['.html', '.htm'].includes(extname(file).toLowerCase()))
+    .sort();
+
+  const [initialFiles, renderedFiles] = await Promise.all([listHtml(initialDir), listHtml(renderedDir)]);
+  const renderedSet = new Set(renderedFiles);
+  const initialSet = new Set(initialFiles);
+
+  const results = [];
+  for (const file of initialFiles.filter(f => renderedSet.has(f))) {
+    results.push(await compareFiles(file, join(initialDir, file), join(renderedDir, file), options));
+  }
+
+  const unmatched = [
+    ...initialFiles.filter(f => !renderedSet.has(f)).map(file => ({ file, missingFrom: 'rendered' })),
+    ...renderedFiles.filter(f => !initialSet.has(f)).map(file => ({ file, missingFrom: 'initial' }))
+  ];
+
+  return { results, unmatched };
+}
+
+/**
+ * Aggregate results and apply the --fail-under gate
+ * @param {Object} report - { results, unmatched }
+ * @param {number|null} failUnder - Minimum passing score
+ * @returns {Object} { pages, averageScore, failUnder, failing, unmatched }
+ */
+function summarize(report, failUnder) {
+  const { results } = report;
+  results.forEach(result => {
+    result.passed = failUnder === null || result.score >= failUnder;
+  });
+
+  return {
+    pages: results.length,
+    averageScore: results.length > 0
+      ? Math.round(results.reduce((sum, r) => sum + r.score, 0) / results.length)
+      : 0,
+    failUnder,
+    failing: results.filter(r => !r.passed).length,
+    unmatched: report.unmatched.length
+  };
+}
+
+/**
+ * Render the report in the requested format
+ * @param {Object} report - { results, unmatched, summary }
+ * @param {string} format - text | json | markdown | junit | sarif
+ * @param {boolean} batch - Whether to render the batch layout
+ * @returns {string} Output
+ */
+function formatReport(report, format, batch) {
+  const { results, summary } = report;
+  switch (format) {
+    case 'json':
+      return JSON.stringify(batch ? report : results[0], null, 2) + '\n';
+    case 'markdown':
+      return toMarkdown(results, { failUnder: summary.failUnder, summary: batch }) + formatSkipped(report, batch);
+    case 'junit':
+      return toJUnit(results, summary.failUnder !== null ? { threshold: summary.failUnder } : {});
+    case 'sarif':
+      return JSON.stringify(toSarif(results), null, 2) + '\n';
+    default:
+      return formatText(report, batch);
+  }
+}
+
+/**
+ * Plain-text report
+ * @param {Object} report - Report
+ * @param {boolean} batch - Whether to add the batch summary
+ * @returns {string} Text output
+ */
+function formatText(report, batch) {
+  const lines = [];
+
+  report.results.forEach(result => {
+    const { metrics } = result;
+    lines.push(`${result.name}${result.passed ? '' : '  [FAIL]'}`);
+    lines.push(`  Score: ${result.score}/100 (${result.category}) - ${result.description}`);
+    lines.push(`  Citation readability: ${metrics.citationReadability}%  Content gain: ${metrics.contentGain}x  Missing words: ${metrics.missingWords}  Similarity: ${metrics.similarity}%`);
+    if (result.findings.length > 0) {
+      lines.push('  Recommendations:');
+      result.findings.forEach(finding => lines.push(`    - [${finding.severity}] ${finding.message}`));
+    }
+    lines.push('');
+  });
+
+  if (batch) {
+    const { summary } = report;
+    lines.push(`Pages: ${summary.pages}  Average score: ${summary.averageScore}${summary.failUnder !== null ? `  Below ${summary.failUnder}: ${summary.failing}` : ''}`);
+    report.unmatched.forEach(({ file, missingFrom }) => lines.push(`  Skipped ${file} (missing from ${missingFrom})`));
+  }
+
+  return lines.join('\n').replace(/\n*$/, '\n');
+}
+
+/**
+ * Markdown note listing batch files without a counterpart
+ * @param {Object} report - Report
+ * @param {boolean} batch - Whether the report is a batch
+ * @returns {string} Markdown paragraph, or an empty string
+ */
+function formatSkipped(report, batch) {
+  if (!batch || report.unmatched.length === 0) return '';
+  return `\nSkipped: ${report.unmatched.map(({ file, missingFrom }) => `\`${file}\` (missing from ${missingFrom})`).join(', ')}\n`;
+}
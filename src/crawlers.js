@@ -0,0 +1,232 @@
+/**
+ * Crawler profiles
+ * User agents, robots.txt tokens and capabilities of the AI and search
+ * crawlers whose view of a page the analyzer reproduces
+ */
+
+import { analyzeContentDifference, generateVisibilityScore } from './analyzer.js';
+import { extractStructuredData } from './structured-data.js';
+
+/**
+ * Built-in crawler profiles, keyed by id
+ *
+ * Capabilities:
+ * - rendersJavaScript: scripts run before the page is read; crawlers that do
+ *   not only ever see the initial HTML
+ * - readsNoscript: <noscript> content counts as page text
+ * - readsHiddenContent: text hidden by CSS/ARIA counts as page text
+ * - readsJsonLd: JSON-LD blocks are parsed (microdata and RDFa sit in the markup)
+ * - byteLimit: bytes of HTML read before the rest is dropped (null: no limit)
+ */
+export const crawlerProfiles = {
+  gptbot: {
+    name: 'GPTBot',
+    token: 'GPTBot',
+    userAgent: 'Mozilla/5.0 AppleWebKit/537.36 (KHTML, like Gecko; compatible; GPTBot/1.1; +https://openai.com/gptbot)',
+    rendersJavaScript: false,
+    readsNoscript: true,
+    readsHiddenContent: true,
+    readsJsonLd: false,
+    byteLimit: null
+  },
+  perplexitybot: {
+    name: 'PerplexityBot',
+    token: 'PerplexityBot',
+    userAgent: 'Mozilla/5.0 AppleWebKit/537.36 (KHTML, like Gecko; compatible; PerplexityBot/1.0; +https://perplexity.ai/perplexitybot)',
+    rendersJavaScript: false,
+    readsNoscript: true,
+    readsHiddenContent: true,
+    readsJsonLd: false,
+    byteLimit: null
+  },
+  claudebot: {
+    name: 'ClaudeBot',
+    token: 'ClaudeBot',
+    userAgent: 'Mozilla/5.0 AppleWebKit/537.36 (KHTML, like Gecko; compatible; ClaudeBot/1.0; +claudebot@anthropic.com)',
+    rendersJavaScript: false,
+    readsNoscript: true,
+    readsHiddenContent: true,
+    readsJsonLd: false,
+    byteLimit: null
+  },
+  googlebot: {
+    name: 'Googlebot',
+    token: 'Googlebot',
+    userAgent: 'Mozilla/5.0 AppleWebKit/537.36 (KHTML, like Gecko; compatible; Googlebot/2.1; +http://www.google.com/bot.html) Chrome/131.0.0.0 Safari/537.36',
+    rendersJavaScript: true,
+    readsNoscript: false,
+    readsHiddenContent: true,
+    readsJsonLd: true,
+    byteLimit: 15 * 1024 * 1024
+  },
+  browser: {
+    name: 'Browser',
+    token: '*',
+    userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36',
+    rendersJavaScript: true,
+    readsNoscript: false,
+    readsHiddenContent: false,
+    readsJsonLd: false,
+    byteLimit: null
+  }
+};
+
+const CAPABILITIES = ['rendersJavaScript', 'readsNoscript', 'readsHiddenContent', 'readsJsonLd', 'byteLimit'];
+
+/**
+ * Register a named crawler profile
+ * @param {string} id - Profile id
+ * @param {Object} profile - { name, token, userAgent } and capabilities, see crawlerProfiles
+ */
+export function registerCrawlerProfile(id, profile) {
+  crawlerProfiles[id] = profile;
+}
+
+/**
+ * Resolve a crawler profile id, user agent string or definition to a profile
+ *
+ * Strings that are not profile ids are treated as raw user agents; the
+ * profile whose token appears in them supplies the other fields. Definitions
+ * may extend another profile ({ extends: 'gptbot', byteLimit: 102400 }).
+ * Capabilities left out default to those of a plain HTML reader.
+ *
+ * @param {string|Object} [crawler="gptbot"] - Profile id (case-insensitive), user agent, or definition
+ * @returns {Object} { id, name, token, userAgent } and the capabilities listed in crawlerProfiles
+ */
+export function resolveCrawlerProfile(crawler = 'gptbot') {
+  if (typeof crawler === 'object' && crawler !== null) {
+    const { extends: base, ...definition } = crawler;
+    const parent = base ? resolveCrawlerProfile(base) : {};
+    const merged = { ...parent, ...definition };
+    if (!merged.userAgent) throw new Error('Crawler profile needs a userAgent');
+    return withCapabilities({
+      ...merged,
+      id: definition.id || (base ? `${parent.id}-custom` : 'custom'),
+      name: merged.name || definition.id || 'Custom',
+      token: merged.token || '*'
+    });
+  }
+
+  const id = String(crawler).toLowerCase();
+  if (Object.prototype.hasOwnProperty.call(crawlerProfiles, id)) {
+    return withCapabilities({ id, ...crawlerProfiles[id] });
+  }
+
+  const known = Object.entries(crawlerProfiles)
+    .find(([, profile]) => profile.token !== '*' && crawler.toLowerCase().includes(profile.token.toLowerCase()));
+  return withCapabilities(known
+    ? { id: known[0], ...known[1], userAgent: crawler }
+    : { id: 'custom', name: 'Custom', token: '*', userAgent: crawler });
+}
+
+/**
+ * Ids of the built-in crawler profiles other than the generic browser
+ * @returns {string[]} Profile ids
+ */
+export function defaultCrawlerIds() {
+  return Object.keys(crawlerProfiles).filter(id => crawlerProfiles[id].token !== '*');
+}
+
+/**
+ * Analyze a page once per crawler, each reading it the way its capabilities allow
+ *
+ * A crawler's view is the rendered HTML when it runs JavaScript and the
+ * initial HTML otherwise, cut at its byte limit and read with or without
+ * <noscript> and hidden content. Each view is compared against the rendered
+ * page as users see it.
+ *
+ * @param {string} initialHtml - HTML as served, before JavaScript runs
+ * @param {string} renderedHtml - HTML as users see it (fully loaded)
+ * @param {Array} [profiles] - Crawler profile ids, user agents or definitions (default: every AI/search crawler profile)
+ * @param {Object} [options={}] - Options passed to analyzeContentDifference and generateVisibilityScore
+ * @returns {Object} { crawlers, matrix }
+ *   - crawlers: {id, name, capabilities, bytes, truncated, score, category, metrics, structuredData} per profile
+ *   - structuredData: { types, missingTypes } - types the crawler reads and rendered types it does not
+ *   - matrix: metric name to { crawlerId: value } (score, category, citationReadability, missingWords,
+ *     words, truncated, missingTypes)
+ */
+export function analyzeForCrawlers(initialHtml, renderedHtml, profiles, options = {}) {
+  const rendered = extractStructuredData(renderedHtml);
+
+  const crawlers = (profiles || defaultCrawlerIds()).map(profile => {
+    const crawler = resolveCrawlerProfile(profile);
+    const source = (crawler.rendersJavaScript ? renderedHtml : initialHtml) || '';
+    const { html, bytes, truncated } = truncateToBytes(source, crawler.byteLimit);
+
+    const analysis = analyzeContentDifference(html, renderedHtml, {
+      ...options,
+      initialOptions: {
+        ...options.initialOptions,
+        // Crawlers that run scripts skip <noscript> like browsers do
+        includeNoscript: crawler.readsNoscript && !crawler.rendersJavaScript,
+        excludeHidden: !crawler.readsHiddenContent
+      }
+    });
+    const visibilityScore = generateVisibilityScore(analysis, options);
+
+    const types = [...new Set(extractStructuredData(html).entities
+      .filter(entity => crawler.readsJsonLd || entity.format !== 'json-ld')
+      .map(entity => entity.type))];
+
+    return {
+      id: crawler.id,
+      name: crawler.name,
+      capabilities: Object.fromEntries(CAPABILITIES.map(capability => [capability, crawler[capability]])),
+      bytes,
+      truncated,
+      score: visibilityScore.score,
+      category: visibilityScore.category,
+      metrics: analysis.metrics,
+      structuredData: {
+        types,
+        missingTypes: Object.keys(rendered.types).filter(type => !types.includes(type))
+      }
+    };
+  });
+
+  const row = pick => Object.fromEntries(crawlers.map(crawler => [crawler.id, pick(crawler)]));
+  return {
+    crawlers,
+    matrix: {
+      score: row(c => c.score),
+      category: row(c => c.category),
+      citationReadability: row(c => c.metrics.citationReadability),
+      missingWords: row(c => c.metrics.missingWords),
+      words: row(c => c.metrics.wordCount.initial),
+      truncated: row(c => c.truncated),
+      missingTypes: row(c => c.structuredData.missingTypes.length)
+    }
+  };
+}
+
+/**
+ * Fill in capabilities a profile leaves out
+ * @param {Object} profile - Crawler profile
+ * @returns {Object} Profile with every capability set
+ */
+function withCapabilities(profile) {
+  const rendersJavaScript = Boolean(profile.rendersJavaScript);
+  return {
+    ...profile,
+    rendersJavaScript,
+    readsNoscript: profile.readsNoscript ?? !rendersJavaScript,
+    readsHiddenContent: profile.readsHiddenContent ?? true,
+    readsJsonLd: Boolean(profile.readsJsonLd),
+    byteLimit: profile.byteLimit ?? null
+  };
+}
+
+/**
+ * Cut HTML to the first bytes of its UTF-8 encoding
+ * @param {string} html - HTML content
+ * @param {number|null} limit - Byte limit (null: keep everything)
+ * @returns {Object} { html, bytes, truncated } where bytes is the full size
+ */
+function truncateToBytes(html, limit) {
+  const encoded = new TextEncoder().encode(html);
+  if (!limit || encoded.length <= limit) return { html, bytes: encoded.length, truncated: false };
+
+  // Drop a character split by the cut rather than decode half of it
+  const text = new TextDecoder().decode(encoded.subarray(0, limit)).replace(/\uFFFD$/, '');
+  return { html: text, bytes: encoded.length, truncated: true };
+}
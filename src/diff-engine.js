@@ -1,6 +1,7 @@
 /**
  * LCS-based diff engine for text comparison
  * Provides efficient algorithms for finding differences between text content
+ * (Myers O(ND) with linear-space divide and conquer)
  */
 
 import { tokenize } from './tokenizer.js';
@@ -13,59 +14,142 @@ import { tokenize } from './tokenizer.js';
  * @returns {Array} Array of diff operations: {type: 'same'|'add'|'del', text: string}
  */
 export function diffTokens(aStr, bStr, mode = "word") {
-  const A = tokenize(aStr, mode);
-  const B = tokenize(bStr, mode);
+  return diffTokenArrays(tokenize(aStr, mode), tokenize(bStr, mode));
+}
 
-  // Map tokens to integers for faster LCS computation
+/**
+ * Generate LCS-based diff between two pre-tokenized sequences
+ *
+ * Uses Myers' O(ND) algorithm with the linear-space "middle snake"
+ * refinement (Hirschberg-style divide and conquer), so memory stays
+ * O(m+n) and runtime is near-linear when the inputs are similar.
+ *
+ * @param {string[]} A - First token array
+ * @param {string[]} B - Second token array
+ * @returns {Array} Array of diff operations: {type: 'same'|'add'|'del', text: string}
+ */
+export function diffTokenArrays(A, B) {
+  // Map tokens to integers for faster comparisons
   const sym = new Map();
   const mapTok = t => {
     if (!sym.has(t)) sym.set(t, sym.size + 1);
     return sym.get(t);
   };
-  const a = A.map(mapTok);
-  const b = B.map(mapTok);
+  const a = Int32Array.from(A, mapTok);
+  const b = Int32Array.from(B, mapTok);
 
-  // Build LCS length table using dynamic programming
-  const m = a.length, n = b.length;
-  const dp = Array(m + 1).fill(0).map(() => Array(n + 1).fill(0));
-  
-  for (let i = 1; i <= m; i++) {
-    for (let j = 1; j <= n; j++) {
-      dp[i][j] = (a[i - 1] === b[j - 1]) 
-        ? dp[i - 1][j - 1] + 1 
-        : Math.max(dp[i - 1][j], dp[i][j - 1]);
-    }
+  // Furthest-reaching path buffers, shared by every middle-snake search
+  const size = 2 * (Math.ceil((a.length + b.length) / 2) + 1) + 1;
+  const ctx = { a, b, A, B, ops: [], vf: new Int32Array(size), vb: new Int32Array(size) };
+
+  diffRange(ctx, 0, a.length, 0, b.length);
+  return ctx.ops;
+}
+
+/**
+ * Diff a[aLo, aHi) against b[bLo, bHi), appending operations to ctx.ops
+ * @param {Object} ctx - Shared diff state (sequences, output, path buffers)
+ * @param {number} aLo - Start index in a (inclusive)
+ * @param {number} aHi - End index in a (exclusive)
+ * @param {number} bLo - Start index in b (inclusive)
+ * @param {number} bHi - End index in b (exclusive)
+ */
+function diffRange(ctx, aLo, aHi, bLo, bHi) {
+  const { a, b, A, B, ops } = ctx;
+
+  // Trim common prefix
+  while (aLo < aHi && bLo < bHi && a[aLo] === b[bLo]) {
+    ops.push({ type: "same", text: A[aLo] });
+    aLo++; bLo++;
   }
 
-  // Backtrack to generate diff operations
-  const ops = [];
-  let i = m, j = n;
-  
-  while (i > 0 && j > 0) {
-    if (a[i - 1] === b[j - 1]) {
-      ops.push({ type: "same", text: A[i - 1] });
-      i--; j--;
-    } else if (dp[i - 1][j] >= dp[i][j - 1]) {
-      ops.push({ type: "del", text: A[i - 1] });
-      i--;
-    } else {
-      ops.push({ type: "add", text: B[j - 1] });
-      j--;
+  // Trim common suffix (emitted after the middle has been diffed)
+  let suffix = 0;
+  while (aHi - suffix > aLo && bHi - suffix > bLo && a[aHi - suffix - 1] === b[bHi - suffix - 1]) {
+    suffix++;
+  }
+  aHi -= suffix;
+  bHi -= suffix;
+
+  if (aLo === aHi) {
+    for (let j = bLo; j < bHi; j++) ops.push({ type: "add", text: B[j] });
+  } else if (bLo === bHi) {
+    for (let i = aLo; i < aHi; i++) ops.push({ type: "del", text: A[i] });
+  } else {
+    const snake = findMiddleSnake(ctx, aLo, aHi, bLo, bHi);
+    diffRange(ctx, aLo, aLo + snake.x, bLo, bLo + snake.y);
+    for (let i = aLo + snake.x; i < aLo + snake.u; i++) {
+      ops.push({ type: "same", text: A[i] });
     }
+    diffRange(ctx, aLo + snake.u, aHi, bLo + snake.v, bHi);
   }
-  
-  // Handle remaining tokens
-  while (i > 0) { 
-    ops.push({ type: "del", text: A[i - 1] }); 
-    i--; 
+
+  for (let i = aHi; i < aHi + suffix; i++) {
+    ops.push({ type: "same", text: A[i] });
   }
-  while (j > 0) { 
-    ops.push({ type: "add", text: B[j - 1] }); 
-    j--; 
+}
+
+/**
+ * Find the middle snake of an optimal edit path (Myers 1986, section 4b)
+ * @param {Object} ctx - Shared diff state
+ * @param {number} aLo - Start index in a (inclusive)
+ * @param {number} aHi - End index in a (exclusive)
+ * @param {number} bLo - Start index in b (inclusive)
+ * @param {number} bHi - End index in b (exclusive)
+ * @returns {Object} Snake bounds relative to (aLo, bLo): {x, y, u, v}
+ */
+function findMiddleSnake(ctx, aLo, aHi, bLo, bHi) {
+  const { a, b, vf, vb } = ctx;
+  const n = aHi - aLo;
+  const m = bHi - bLo;
+  const delta = n - m;
+  const odd = (delta & 1) !== 0;
+  const max = Math.ceil((n + m) / 2);
+  const offset = max + 1;
+
+  vf[offset + 1] = 0;
+  vb[offset + 1] = 0;
+
+  for (let d = 0; d <= max; d++) {
+    // Forward search from the top-left corner
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && vf[offset + k - 1] < vf[offset + k + 1]))
+        ? vf[offset + k + 1]
+        : vf[offset + k - 1] + 1;
+      let y = x - k;
+      const x0 = x, y0 = y;
+      while (x < n && y < m && a[aLo + x] === b[bLo + y]) {
+        x++; y++;
+      }
+      vf[offset + k] = x;
+
+      const c = delta - k;
+      if (odd && c >= -(d - 1) && c <= d - 1 && x + vb[offset + c] >= n) {
+        return { x: x0, y: y0, u: x, v: y };
+      }
+    }
+
+    // Reverse search from the bottom-right corner (coordinates mirrored)
+    for (let c = -d; c <= d; c += 2) {
+      let x = (c === -d || (c !== d && vb[offset + c - 1] < vb[offset + c + 1]))
+        ? vb[offset + c + 1]
+        : vb[offset + c - 1] + 1;
+      let y = x - c;
+      const x0 = x, y0 = y;
+      while (x < n && y < m && a[aHi - 1 - x] === b[bHi - 1 - y]) {
+        x++; y++;
+      }
+      vb[offset + c] = x;
+
+      const k = delta - c;
+      if (!odd && k >= -d && k <= d && x + vf[offset + k] >= n) {
+        return { x: n - x, y: m - y, u: n - x0, v: m - y0 };
+      }
+    }
   }
-  
-  ops.reverse();
-  return ops;
+
+  // Unreachable for valid input: an edit path always exists within max steps
+  return { x: 0, y: 0, u: 0, v: 0 };
 }
 
 /**
@@ -77,6 +161,20 @@ export function diffTokens(aStr, bStr, mode = "word") {
  */
 export function generateDiffReport(initText, finText, mode = "word") {
   if (!initText || !finText) {
+    return buildDiffReport(null, mode);
+  }
+
+  return buildDiffReport(diffTokens(initText, finText, mode), mode);
+}
+
+/**
+ * Build a diff report from already computed diff operations
+ * @param {Array|null} ops - Diff operations from diffTokens/diffTokenArrays, or null when there is nothing to compare
+ * @param {string} [mode="word"] - Tokenization mode the operations were produced with
+ * @returns {Object} Diff report with counts and operations
+ */
+export function buildDiffReport(ops, mode = "word") {
+  if (!ops) {
     return {
       addCount: 0,
       delCount: 0,
@@ -86,7 +184,6 @@ export function generateDiffReport(initText, finText, mode = "word") {
     };
   }
 
-  const ops = diffTokens(initText, finText, mode);
   let addCount = 0, delCount = 0, sameCount = 0;
 
   ops.forEach(op => {
@@ -118,13 +215,26 @@ export function calculateSimilarity(text1, text2, mode = "word") {
   const tokens1 = tokenize(text1, mode);
   const tokens2 = tokenize(text2, mode);
   
-  if (tokens1.length === 0 && tokens2.length === 0) return 100;
-  if (tokens1.length === 0 || tokens2.length === 0) return 0;
+  if (tokens1.length === 0 || tokens2.length === 0) {
+    return similarityFromCounts(0, tokens1.length, tokens2.length);
+  }
 
-  const report = generateDiffReport(text1, text2, mode);
-  const totalTokens = Math.max(tokens1.length, tokens2.length);
-  
-  return (report.sameCount / totalTokens) * 100;
+  const sameCount = buildDiffReport(diffTokenArrays(tokens1, tokens2), mode).sameCount;
+  return similarityFromCounts(sameCount, tokens1.length, tokens2.length);
+}
+
+/**
+ * Calculate similarity percentage from diff counts
+ * @param {number} sameCount - Number of tokens shared by both sequences
+ * @param {number} count1 - Token count of the first sequence
+ * @param {number} count2 - Token count of the second sequence
+ * @returns {number} Similarity percentage (0-100)
+ */
+export function similarityFromCounts(sameCount, count1, count2) {
+  if (count1 === 0 && count2 === 0) return 100;
+  if (count1 === 0 || count2 === 0) return 0;
+
+  return (sameCount / Math.max(count1, count2)) * 100;
 }
 
 /**
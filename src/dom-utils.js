@@ -0,0 +1,160 @@
+/**
+ * DOM helpers for cheerio element trees
+ * Shared by the Node.js analyses that report element locations. The generic
+ * helpers at the end also work on DOMParser nodes through the standard
+ * childNodes/parentNode/nodeType/nodeValue interface that domhandler mirrors.
+ */
+
+const HEADING_TAGS = new Set(['h1', 'h2', 'h3', 'h4', 'h5', 'h6']);
+
+/**
+ * Check whether a node is an element (including script/style elements)
+ * @param {Object} node - domhandler node
+ * @returns {boolean} True for element nodes
+ */
+export function isElement(node) {
+  return !!node && (node.type === 'tag' || node.type === 'script' || node.type === 'style');
+}
+
+/**
+ * Check whether an element is a heading (h1-h6)
+ * @param {Object} node - domhandler node
+ * @returns {boolean} True for heading elements
+ */
+export function isHeading(node) {
+  return isElement(node) && HEADING_TAGS.has(node.name);
+}
+
+/**
+ * Build a CSS selector path that uniquely locates an element
+ * @param {Object} node - domhandler element node
+ * @returns {string} Selector such as "html > body > main > div.promo:nth-of-type(2)"
+ */
+export function getCssPath(node) {
+  const parts = [];
+  let current = node;
+
+  while (isElement(current)) {
+    const id = current.attribs && current.attribs.id;
+    if (id && /^[A-Za-z][\w-]*$/.test(id)) {
+      parts.unshift(`${current.name}#${id}`);
+      break;
+    }
+
+    let part = current.name;
+    const classes = ((current.attribs && current.attribs.class) || '')
+      .split(/\s+/)
+      .filter(c => /^[A-Za-z_-][\w-]*$/.test(c));
+    if (classes.length > 0) {
+      part += '.' + classes.join('.');
+    }
+
+    const parent = current.parent;
+    if (isElement(parent)) {
+      const sameTag = parent.children.filter(c => isElement(c) && c.name === current.name);
+      if (sameTag.length > 1) {
+        part += `:nth-of-type(${sameTag.indexOf(current) + 1})`;
+      }
+    }
+
+    parts.unshift(part);
+    current = parent;
+  }
+
+  return parts.join(' > ');
+}
+
+/**
+ * Find the deepest element containing all of the given nodes
+ * @param {Array} nodes - domhandler nodes
+ * @returns {Object|null} Lowest common ancestor element
+ */
+export function getCommonAncestor(nodes) {
+  if (nodes.length === 0) return null;
+
+  const ancestors = (node) => {
+    const chain = [];
+    for (let current = isElement(node) ? node : node.parent; isElement(current); current = current.parent) {
+      chain.unshift(current);
+    }
+    return chain;
+  };
+
+  let common = ancestors(nodes[0]);
+  for (let i = 1; i < nodes.length && common.length > 0; i++) {
+    const chain = ancestors(nodes[i]);
+    let depth = 0;
+    while (depth < common.length && depth < chain.length && common[depth] === chain[depth]) {
+      depth++;
+    }
+    common = common.slice(0, depth);
+  }
+
+  return common.length > 0 ? common[common.length - 1] : null;
+}
+
+/**
+ * Get whitespace-normalized text of a node and its descendants
+ * @param {Object} node - domhandler node
+ * @returns {string} Normalized text
+ */
+export function getNodeText(node) {
+  const parts = [];
+  const walk = (current) => {
+    if (current.type === 'text') {
+      parts.push(current.data);
+    } else if (current.children) {
+      current.children.forEach(walk);
+    }
+  };
+  walk(node);
+  return parts.join('').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Lower-case tag name of a DOM or domhandler element
+ * @param {Node} el - Element
+ * @returns {string} Tag name
+ */
+export function getTagName(el) {
+  return (el.tagName || el.name || '').toLowerCase();
+}
+
+/**
+ * Attribute value of a DOM or domhandler element
+ * @param {Node} el - Element
+ * @param {string} name - Attribute name
+ * @returns {string|null} Attribute value
+ */
+export function getAttribute(el, name) {
+  if (typeof el.getAttribute === 'function') return el.getAttribute(name);
+  const attribs = el.attribs || {};
+  return Object.prototype.hasOwnProperty.call(attribs, name) ? attribs[name] : null;
+}
+
+/**
+ * Element children of a DOM or domhandler node
+ * @param {Node} node - Parent node
+ * @returns {Node[]} Child elements
+ */
+export function getChildElements(node) {
+  return Array.from((node && node.childNodes) || []).filter(child => child.nodeType === 1);
+}
+
+/**
+ * Whitespace-normalized text of a DOM or domhandler node
+ * @param {Node} node - Node
+ * @returns {string} Text content
+ */
+export function getTextContent(node) {
+  const parts = [];
+  const collect = (current) => {
+    if (current.nodeType === 3) {
+      parts.push(current.nodeValue);
+    } else {
+      Array.from(current.childNodes || []).forEach(collect);
+    }
+  };
+  collect(node);
+  return parts.join(' ').replace(/\s+/g, ' ').trim();
+}
@@ -0,0 +1,288 @@
+/**
+ * Content filter rules shared by the Node.js and browser entry points
+ * Defines which elements count as content and how filter options are resolved
+ */
+
+import { findMainContent } from './main-content.js';
+import { parseHiddenStyleSelectors, collectHiddenNodes } from './visibility.js';
+import { getTextContent } from './dom-utils.js';
+
+// Supported values of the contentMode option
+const CONTENT_MODES = ['full', 'main'];
+
+// Navigation and footer selectors for content filtering
+export const navigationSelectors = [
+  'nav', 'header', 'footer',
+  '.nav', '.navigation', '.navbar', '.nav-bar', '.menu', '.main-menu',
+  '.header', '.site-header', '.page-header', '.top-header',
+  '.footer', '.site-footer', '.page-footer', '.bottom-footer',
+  '.breadcrumb', '.breadcrumbs',
+  '[role="navigation"]', '[role="banner"]', '[role="contentinfo"]',
+  // Common class patterns
+  '.navigation-wrapper', '.nav-wrapper', '.header-wrapper', '.footer-wrapper',
+  '.site-navigation', '.primary-navigation', '.secondary-navigation',
+  '.top-nav', '.bottom-nav', '.sidebar-nav',
+  // ID selectors for common navigation/footer elements
+  '#nav', '#navigation', '#navbar', '#header', '#footer', '#menu', '#main-menu',
+  '#site-header', '#site-footer', '#page-header', '#page-footer'
+];
+
+// Elements that never count as content
+export const nonContentSelectors = 'script, style, noscript, template';
+
+// Media elements (images, videos, audio, etc.) removed to keep only text
+export const mediaSelectors = 'img, video, audio, picture, svg, canvas, embed, object, iframe';
+
+/**
+ * Named filter presets, combinable via the `preset` option
+ */
+export const filterPresets = {
+  'cookie-banners': {
+    excludeSelectors: [
+      '.cookie-banner', '.cookie-consent', '.cookie-notice', '#cookie-banner', '#cookie-consent',
+      '#onetrust-consent-sdk', '#CybotCookiebotDialog', '.cc-window', '[aria-label="cookieconsent"]'
+    ]
+  },
+  'chat-widgets': {
+    excludeSelectors: [
+      '#chat-widget', '.chat-widget', '#intercom-container', '.intercom-lightweight-app',
+      '#hubspot-messages-iframe-container', '.drift-frame-controller', '#launcher'
+    ]
+  },
+  'ads': {
+    excludeSelectors: [
+      '.ad', '.ads', '.advert', '.advertisement', '.ad-slot', '.ad-container',
+      '[id^="google_ads"]', '[id^="div-gpt-ad"]', '[data-ad-slot]'
+    ]
+  },
+  'social-share': {
+    excludeSelectors: ['.share', '.social-share', '.share-buttons', '.social-links']
+  },
+  'sidebars': {
+    excludeSelectors: ['aside', '.sidebar', '#sidebar', '[role="complementary"]', '.related-articles']
+  },
+  'article': {
+    rootSelector: 'article, main, [role="main"]'
+  }
+};
+
+/**
+ * Resolve filter options into a normalized rule set
+ * @param {boolean|Object} [options=true] - Legacy ignoreNavFooter flag or options object
+ * @param {boolean} [options.ignoreNavFooter=true] - Remove navigation/footer elements
+ * @param {string|string[]} [options.preset] - Name(s) of presets from filterPresets
+ * @param {string|string[]} [options.excludeSelectors] - Additional selectors to remove
+ * @param {string|string[]} [options.includeSelectors] - Selectors never removed by exclusion rules
+ * @param {string} [options.rootSelector] - Only keep content inside matching elements
+ * @param {string} [options.contentMode="full"] - "main" keeps only the detected primary content
+ * @param {boolean} [options.excludeHidden=false] - Remove hidden elements (hidden, aria-hidden, inline styles, collapsed <details>)
+ * @param {boolean} [options.hiddenStyles=false] - Also treat elements hidden by simple <style> rules as hidden
+ * @param {boolean} [options.includeNoscript=false] - Keep <noscript> content, as crawlers without JavaScript read it
+ * @returns {Object} Resolved {ignoreNavFooter, excludeSelectors, includeSelectors, rootSelector, contentMode, excludeHidden,
+ *   hiddenStyles, includeNoscript}
+ */
+export function resolveFilterOptions(options = true) {
+  const {
+    ignoreNavFooter = true,
+    preset = [],
+    excludeSelectors = [],
+    includeSelectors = [],
+    rootSelector = null,
+    contentMode = 'full',
+    excludeHidden = false,
+    hiddenStyles = false,
+    includeNoscript = false
+  } = typeof options === 'boolean' ? { ignoreNavFooter: options } : (options || {});
+
+  if (!CONTENT_MODES.includes(contentMode)) {
+    throw new Error(`Unknown content mode: ${contentMode}`);
+  }
+
+  const resolved = {
+    ignoreNavFooter,
+    excludeSelectors: [],
+    includeSelectors: [],
+    rootSelector: null,
+    contentMode,
+    excludeHidden,
+    hiddenStyles,
+    includeNoscript
+  };
+
+  toArray(preset).forEach(name => {
+    const rules = filterPresets[name];
+    if (!rules) {
+      throw new Error(`Unknown filter preset: ${name}`);
+    }
+    resolved.excludeSelectors.push(...toArray(rules.excludeSelectors));
+    resolved.includeSelectors.push(...toArray(rules.includeSelectors));
+    resolved.rootSelector = rules.rootSelector || resolved.rootSelector;
+  });
+
+  resolved.excludeSelectors.push(...toArray(excludeSelectors));
+  resolved.includeSelectors.push(...toArray(includeSelectors));
+  resolved.rootSelector = rootSelector || resolved.rootSelector;
+
+  return resolved;
+}
+
+/**
+ * Check each selector option on its own, naming the option and entry that fails
+ *
+ * The combined selectors only tell that some entry is invalid, so filters call
+ * this after a query throws to report which one.
+ *
+ * @param {Object} rules - Rules from resolveFilterOptions
+ * @param {Function} query - Callback that runs one selector and throws when it is invalid
+ * @throws {Error} "Invalid excludeSelectors entry: ..." (or includeSelectors/rootSelector)
+ */
+export function assertValidSelectors(rules, query) {
+  const options = {
+    excludeSelectors: rules.excludeSelectors,
+    includeSelectors: rules.includeSelectors,
+    rootSelector: toArray(rules.rootSelector)
+  };
+
+  Object.entries(options).forEach(([name, selectors]) => {
+    selectors.forEach(selector => {
+      try {
+        query(selector);
+      } catch (error) {
+        throw new Error(`Invalid ${name} entry: ${selector} (${error.message})`);
+      }
+    });
+  });
+}
+
+/**
+ * Combined selector for every element the resolved rules remove
+ * @param {Object} rules - Rules from resolveFilterOptions
+ * @returns {string} Selector list, or an empty string when nothing is removed
+ */
+export function getRemovalSelector(rules) {
+  const selectors = [...(rules.ignoreNavFooter ? navigationSelectors : []), ...rules.excludeSelectors];
+  return selectors.join(',');
+}
+
+/**
+ * Remove every node under container that is not inside (or an ancestor of) one of the roots
+ * @param {Node} container - Element to prune
+ * @param {Node[]} roots - Elements whose content is kept
+ * @param {Function} removeNode - Callback that detaches a node
+ */
+export function pruneOutsideRoots(container, roots, removeNode) {
+  const rootSet = new Set(roots);
+  if (rootSet.has(container)) return;
+
+  const ancestors = new Set();
+  roots.forEach(root => {
+    for (let p = root.parentNode; p && p !== container; p = p.parentNode) ancestors.add(p);
+  });
+
+  const prune = (node) => {
+    Array.from(node.childNodes).forEach(child => {
+      if (rootSet.has(child)) return;
+      if (ancestors.has(child)) prune(child);
+      else removeNode(child);
+    });
+  };
+  prune(container);
+}
+
+/**
+ * Apply the filter rules to a parsed DOMParser document (browser environment)
+ * @param {Document} doc - Parsed document
+ * @param {boolean|Object} [options=true] - Filter options (see resolveFilterOptions)
+ * @returns {Object} { root, hiddenText } - filtered body element (or document element when there
+ *   is no body) and the text of hidden elements inside it
+ */
+export function filterDomDocument(doc, options = true) {
+  const rules = resolveFilterOptions(options);
+
+  // Get the body element, if it doesn't exist, use the entire document
+  const bodyElement = doc.body || doc.documentElement;
+
+  // Read stylesheets before <style> elements are stripped
+  const styleSelectors = rules.hiddenStyles
+    ? Array.from(doc.querySelectorAll('style')).flatMap(el => parseHiddenStyleSelectors(el.textContent))
+    : [];
+
+  // Replace <noscript> with its markup (raw text when the parser ran with scripting enabled)
+  if (rules.includeNoscript) {
+    bodyElement.querySelectorAll('noscript').forEach(el => {
+      const template = doc.createElement('template');
+      template.innerHTML = el.innerHTML;
+      el.replaceWith(template.content);
+    });
+  }
+
+  bodyElement.querySelectorAll(nonContentSelectors).forEach(n => n.remove());
+  bodyElement.querySelectorAll(mediaSelectors).forEach(n => n.remove());
+
+  try {
+    // Conditionally remove navigation/footer and custom excluded elements
+    const removal = getRemovalSelector(rules);
+    if (removal) {
+      const include = rules.includeSelectors.join(',');
+      bodyElement.querySelectorAll(removal).forEach(el => {
+        if (!include || !el.closest(include)) el.remove();
+      });
+    }
+
+    if (rules.rootSelector) {
+      const roots = Array.from(bodyElement.querySelectorAll(rules.rootSelector));
+      if (roots.length > 0) {
+        pruneOutsideRoots(bodyElement, roots, n => n.remove());
+      }
+    }
+  } catch (error) {
+    assertValidSelectors(rules, selector => doc.querySelectorAll(selector));
+    throw error;
+  }
+
+  const hiddenText = applyHiddenRules(bodyElement, rules, {
+    styleSelectors,
+    query: selector => Array.from(bodyElement.querySelectorAll(selector)),
+    removeNode: n => n.remove()
+  });
+
+  if (rules.contentMode === 'main') {
+    const main = findMainContent(bodyElement);
+    if (main.length > 0) {
+      pruneOutsideRoots(bodyElement, main, n => n.remove());
+    }
+  }
+
+  return { root: bodyElement, hiddenText };
+}
+
+/**
+ * Measure (and, with excludeHidden, remove) hidden content under a root
+ * @param {Node} root - Filtered root element
+ * @param {Object} rules - Rules from resolveFilterOptions
+ * @param {Object} env - { styleSelectors, query(selector), removeNode(node) } for the current DOM implementation
+ * @returns {string} Text of the hidden nodes
+ */
+export function applyHiddenRules(root, rules, env) {
+  const hiddenNodes = collectHiddenNodes(root, {
+    styleSelectors: env.styleSelectors,
+    query: env.query
+  });
+  const hiddenText = hiddenNodes.map(getTextContent).filter(Boolean).join(' ');
+
+  if (rules.excludeHidden) {
+    hiddenNodes.forEach(env.removeNode);
+  }
+
+  return hiddenText;
+}
+
+/**
+ * Normalize a selector option to an array
+ * @param {string|string[]|undefined} value - Selector or selectors
+ * @returns {string[]} Selector array
+ */
+function toArray(value) {
+  if (!value) return [];
+  return Array.isArray(value) ? value : [value];
+}
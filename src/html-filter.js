@@ -4,126 +4,244 @@
  */
 
 import * as cheerio from 'cheerio';
-
-// Navigation and footer selectors for content filtering
-const navigationSelectors = [
-  'nav', 'header', 'footer', 
-  '.nav', '.navigation', '.navbar', '.nav-bar', '.menu', '.main-menu',
-  '.header', '.site-header', '.page-header', '.top-header',
-  '.footer', '.site-footer', '.page-footer', '.bottom-footer',
-  '.breadcrumb', '.breadcrumbs',
-  '[role="navigation"]', '[role="banner"]', '[role="contentinfo"]',
-  // Common class patterns
-  '.navigation-wrapper', '.nav-wrapper', '.header-wrapper', '.footer-wrapper',
-  '.site-navigation', '.primary-navigation', '.secondary-navigation',
-  '.top-nav', '.bottom-nav', '.sidebar-nav',
-  // ID selectors for common navigation/footer elements
-  '#nav', '#navigation', '#navbar', '#header', '#footer', '#menu', '#main-menu',
-  '#site-header', '#site-footer', '#page-header', '#page-footer'
-];
+import {
+  nonContentSelectors,
+  mediaSelectors,
+  resolveFilterOptions,
+  getRemovalSelector,
+  pruneOutsideRoots,
+  filterDomDocument,
+  applyHiddenRules,
+  assertValidSelectors
+} from './filter-rules.js';
+import { findMainContent } from './main-content.js';
+import { parseHiddenStyleSelectors } from './visibility.js';
 
 /**
  * Filter HTML content by removing unwanted elements
  * @param {string} htmlContent - Raw HTML content
- * @param {boolean} ignoreNavFooter - Whether to remove navigation/footer elements
+ * @param {boolean|Object} [options=true] - Whether to remove navigation/footer elements, or filter options
+ * @param {boolean} [options.ignoreNavFooter=true] - Remove navigation/footer elements
+ * @param {string|string[]} [options.preset] - Named preset(s) from filterPresets
+ * @param {string|string[]} [options.excludeSelectors] - Additional selectors to remove
+ * @param {string|string[]} [options.includeSelectors] - Selectors never removed by exclusion rules
+ * @param {string} [options.rootSelector] - Only keep content inside matching elements (e.g. "main")
+ * @param {string} [options.contentMode="full"] - "main" keeps only the detected primary article body
+ * @param {boolean} [options.excludeHidden=false] - Drop hidden elements (hidden, aria-hidden, display:none, collapsed <details>)
+ * @param {boolean} [options.hiddenStyles=false] - Also honor simple <style> rules when detecting hidden elements
+ * @param {boolean} [options.includeNoscript=false] - Keep <noscript> content instead of removing it
  * @param {boolean} returnText - Whether to return text only (true) or filtered HTML (false)
  * @returns {string} Filtered content
  */
-export function filterHtmlContent(htmlContent, ignoreNavFooter = true, returnText = true) {
+export function filterHtmlContent(htmlContent, options = true, returnText = true) {
   if (!htmlContent) return "";
-  
+
   // Browser environment (DOMParser)
   if (typeof document !== 'undefined' && typeof DOMParser !== 'undefined') {
     const parser = new DOMParser();
-    const doc = parser.parseFromString(htmlContent, "text/html");
-    
-    // Get the body element, if it doesn't exist, use the entire document
-    const bodyElement = doc.body || doc.documentElement;
-    
-    // Always remove script, style, noscript, template elements
-    bodyElement.querySelectorAll("script,style,noscript,template").forEach(n => n.remove());
-    
-    // Remove all media elements (images, videos, audio, etc.) to keep only text
-    bodyElement.querySelectorAll("img,video,audio,picture,svg,canvas,embed,object,iframe").forEach(n => n.remove());
-    
-    // Conditionally remove navigation and footer elements
-    if (ignoreNavFooter) {
-      filterNavigationAndFooter(bodyElement);
-    }
-    
+    const bodyElement = filterDomDocument(parser.parseFromString(htmlContent, "text/html"), options).root;
+
     if (returnText) {
       return (bodyElement && bodyElement.textContent) ? bodyElement.textContent : "";
     } else {
       return bodyElement.outerHTML;
     }
   }
-  
+
   // Node.js environment (cheerio)
-  const $ = cheerio.load(htmlContent);
-  
-  // Always remove script, style, noscript, template tags
-  $('script, style, noscript, template').remove();
-  
-  // Remove all media elements (images, videos, audio, etc.) to keep only text
-  $('img, video, audio, picture, svg, canvas, embed, object, iframe').remove();
-  
-  // Conditionally remove navigation and footer elements
-  if (ignoreNavFooter) {
-    filterNavigationAndFooterCheerio($);
+  const $ = loadCheerioDocument(htmlContent, options);
+  return returnText ? getCheerioText($) : $.html();
+}
+
+/**
+ * Extract plain text from HTML content (backward compatibility wrapper)
+ * @param {string} htmlContent - Raw HTML content
+ * @param {boolean|Object} [options=true] - Whether to remove navigation/footer elements, or filter options
+ * @returns {string} Plain text content
+ */
+export function stripTagsToText(htmlContent, options = true) {
+  return filterHtmlContent(htmlContent, options, true);
+}
+
+/**
+ * Extract plain text together with the text of hidden elements
+ * @param {string} htmlContent - Raw HTML content
+ * @param {boolean|Object} [options=true] - Whether to remove navigation/footer elements, or filter options
+ * @returns {Object} { text, hiddenText } - hiddenText is measured whether or not excludeHidden is set
+ */
+export function extractContent(htmlContent, options = true) {
+  if (!htmlContent) {
+    return { text: "", hiddenText: "" };
+  }
+
+  // Browser environment (DOMParser)
+  if (typeof document !== 'undefined' && typeof DOMParser !== 'undefined') {
+    const parser = new DOMParser();
+    const { root, hiddenText } = filterDomDocument(parser.parseFromString(htmlContent, "text/html"), options);
+    return { text: root.textContent || "", hiddenText };
+  }
+
+  // Node.js environment (cheerio)
+  const { $, hiddenText } = filterCheerioDocument(htmlContent, options);
+  return { text: getCheerioText($), hiddenText };
+}
+
+/**
+ * Extract plain text both with and without navigation/footer elements,
+ * parsing the HTML only once
+ * @param {string} htmlContent - Raw HTML content
+ * @param {Object} [options={}] - Filter options applied to both variants (ignoreNavFooter is ignored)
+ * @returns {Object} { withNavFooter, withoutNavFooter, hiddenText: { withNavFooter, withoutNavFooter } }
+ */
+export function extractTextVariants(htmlContent, options = {}) {
+  if (!htmlContent) {
+    return { withNavFooter: "", withoutNavFooter: "", hiddenText: { withNavFooter: "", withoutNavFooter: "" } };
   }
-  
-  if (returnText) {
-    // Get text content from document element
-    const textContent = $('html').text() || $('body').text() || "";
-    // Clean up whitespace
-    return textContent.replace(/\s+/g, ' ').trim();
+
+  const withNav = { ...resolveFilterOptions(options), ignoreNavFooter: false };
+  const withoutNav = { ...withNav, ignoreNavFooter: true };
+  let full, filtered;
+
+  // Browser environment (DOMParser)
+  if (typeof document !== 'undefined' && typeof DOMParser !== 'undefined') {
+    const parser = new DOMParser();
+    const doc = parser.parseFromString(htmlContent, "text/html");
+    const copy = doc.cloneNode(true);
+    const fullResult = filterDomDocument(doc, withNav);
+    const filteredResult = filterDomDocument(copy, withoutNav);
+    full = { text: fullResult.root.textContent || "", hiddenText: fullResult.hiddenText };
+    filtered = { text: filteredResult.root.textContent || "", hiddenText: filteredResult.hiddenText };
   } else {
-    return $.html();
+    // Node.js environment (cheerio)
+    const $ = cheerio.load(htmlContent);
+    const copy = cheerio.load($.root().clone().children().toArray());
+    const fullResult = filterCheerioDocument($, withNav);
+    const filteredResult = filterCheerioDocument(copy, withoutNav);
+    full = { text: getCheerioText(fullResult.$), hiddenText: fullResult.hiddenText };
+    filtered = { text: getCheerioText(filteredResult.$), hiddenText: filteredResult.hiddenText };
   }
+
+  return {
+    withNavFooter: full.text,
+    withoutNavFooter: filtered.text,
+    hiddenText: { withNavFooter: full.hiddenText, withoutNavFooter: filtered.hiddenText }
+  };
 }
 
 /**
- * Extract plain text from HTML content (backward compatibility wrapper)
+ * Parse HTML with cheerio and apply the same filtering as filterHtmlContent,
+ * for Node.js analyses that need the element tree rather than flat text
  * @param {string} htmlContent - Raw HTML content
- * @param {boolean} ignoreNavFooter - Whether to remove navigation/footer elements
- * @returns {string} Plain text content
+ * @param {boolean|Object} [options=true] - Whether to remove navigation/footer elements, or filter options
+ * @returns {CheerioAPI} Filtered cheerio document
+ */
+export function loadCheerioDocument(htmlContent, options = true) {
+  return filterCheerioDocument(htmlContent, options).$;
+}
+
+/**
+ * Parse and filter HTML with cheerio
+ * @param {string|CheerioAPI} source - Raw HTML content, or an already loaded document to filter in place
+ * @param {boolean|Object} options - Filter options (see resolveFilterOptions)
+ * @returns {Object} { $, hiddenText } - filtered document and text of hidden elements
  */
-export function stripTagsToText(htmlContent, ignoreNavFooter = true) {
-  return filterHtmlContent(htmlContent, ignoreNavFooter, true);
+function filterCheerioDocument(source, options) {
+  const rules = resolveFilterOptions(options);
+  const $ = typeof source === 'function' ? source : cheerio.load(source || "");
+
+  // Read stylesheets before <style> elements are stripped
+  const styleSelectors = rules.hiddenStyles
+    ? $('style').toArray().flatMap(el => parseHiddenStyleSelectors($(el).text()))
+    : [];
+
+  // cheerio keeps <noscript> content as raw markup; parse it in place when it counts as content
+  if (rules.includeNoscript) {
+    $('noscript').each((i, el) => {
+      $(el).replaceWith($(el).html() || '');
+    });
+  }
+
+  // Always remove script, style, noscript, template tags
+  $(nonContentSelectors).remove();
+
+  // Remove all media elements (images, videos, audio, etc.) to keep only text
+  $(mediaSelectors).remove();
+
+  try {
+    // Conditionally remove navigation/footer and custom excluded elements
+    const removal = getRemovalSelector(rules);
+    if (removal) {
+      removeUnlessIncluded($, removal, rules.includeSelectors.join(','));
+    }
+
+    // Restrict the document to the main content root, if one matches
+    if (rules.rootSelector) {
+      const roots = $(rules.rootSelector).toArray();
+      const container = $('html')[0];
+      if (roots.length > 0 && container) {
+        pruneOutsideRoots(container, roots, node => $(node).remove());
+      }
+    }
+  } catch (error) {
+    assertValidSelectors(rules, selector => $(selector));
+    throw error;
+  }
+
+  const hiddenText = applyHiddenRules($('html')[0] || $.root()[0], rules, {
+    styleSelectors,
+    query: selector => $(selector).toArray(),
+    removeNode: node => $(node).remove()
+  });
+
+  // Keep only the detected primary content
+  if (rules.contentMode === 'main') {
+    const main = findMainContent($('body')[0] || $.root()[0]);
+    const container = $('html')[0];
+    if (main.length > 0 && container) {
+      pruneOutsideRoots(container, main, node => $(node).remove());
+    }
+  }
+
+  return { $, hiddenText };
 }
 
 /**
- * Remove navigation and footer elements (browser environment)
- * @param {Element} element - DOM element to filter
+ * Remove elements matching a selector unless they are inside an included element
+ * @param {CheerioAPI} $ - Cheerio instance
+ * @param {string} selector - Elements to remove
+ * @param {string} include - Selectors protected from removal (may be empty)
  */
-function filterNavigationAndFooter(element) {
-  const allSelectors = navigationSelectors.join(',');
-  const elements = element.querySelectorAll(allSelectors);
-  elements.forEach(el => el.remove());
+function removeUnlessIncluded($, selector, include) {
+  $(selector)
+    .filter((i, el) => !include || $(el).closest(include).length === 0)
+    .remove();
 }
 
 /**
- * Remove navigation and footer elements (Node.js environment)
+ * Get whitespace-normalized text of a filtered cheerio document
  * @param {CheerioAPI} $ - Cheerio instance
+ * @returns {string} Text content
  */
-function filterNavigationAndFooterCheerio($) {
-  const allSelectors = navigationSelectors.join(',');
-  $(allSelectors).remove();
+export function getCheerioText($) {
+  // Get text content from document element
+  const textContent = $('html').text() || $('body').text() || "";
+  // Clean up whitespace
+  return textContent.replace(/\s+/g, ' ').trim();
 }
 
 /**
  * Extract word count from HTML content
  * @param {string} htmlContent - Raw HTML content
- * @param {boolean} ignoreNavFooter - Whether to ignore navigation/footer
+ * @param {boolean|Object} [options=true] - Whether to ignore navigation/footer, or filter options
  * @returns {Object} Object with word_count property
  */
-export function extractWordCount(htmlContent, ignoreNavFooter = true) {
+export function extractWordCount(htmlContent, options = true) {
   if (!htmlContent) {
     return { word_count: 0 };
   }
-  
-  const textContent = stripTagsToText(htmlContent, ignoreNavFooter);
-  
+
+  const textContent = stripTagsToText(htmlContent, options);
+
   // Simple word counting - split by whitespace and filter empty strings
   const words = textContent.trim().split(/\s+/).filter(word => word.length > 0);
   return { word_count: words.length };
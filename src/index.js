@@ -7,9 +7,25 @@
 export { 
   filterHtmlContent, 
   stripTagsToText, 
+  extractContent, 
+  extractTextVariants, 
   extractWordCount 
 } from './html-filter.js';
 
+export { 
+  navigationSelectors, 
+  filterPresets, 
+  resolveFilterOptions 
+} from './filter-rules.js';
+
+export { findMainContent } from './main-content.js';
+
+export { 
+  isHiddenElement, 
+  parseHiddenStyleSelectors, 
+  collectHiddenNodes 
+} from './visibility.js';
+
 export { 
   tokenize, 
   normalizeText, 
@@ -19,8 +35,11 @@ export {
 
 export { 
   diffTokens, 
+  diffTokenArrays, 
   generateDiffReport, 
+  buildDiffReport, 
   calculateSimilarity, 
+  similarityFromCounts, 
   generateHtmlDiff 
 } from './diff-engine.js';
 
@@ -31,6 +50,64 @@ export {
   generateVisibilityScore 
 } from './analyzer.js';
 
+export { 
+  scoringProfiles, 
+  scoringMetrics, 
+  registerScoringProfile, 
+  registerScoringMetric, 
+  resolveScoringProfile, 
+  getSectionWeight 
+} from './scoring.js';
+
+export { getMissingContent } from './missing-content.js';
+
+export { 
+  analyzeBatch, 
+  analyzeBatchStream, 
+  analyzePage, 
+  summarizeBatch 
+} from './batch.js';
+
+export { 
+  recommendationRules, 
+  registerRecommendationRule, 
+  disableRecommendationRule, 
+  enableRecommendationRule, 
+  resetRecommendationRules, 
+  evaluateRecommendations 
+} from './recommendations.js';
+
+export { compareStructure, getElementCategory } from './structure-diff.js';
+
+export { extractStructuredData, compareStructuredData } from './structured-data.js';
+
+export { renderHtmlReport } from './report.js';
+
+export { toMarkdown, toJUnit, toSarif } from './serializers.js';
+
+export { createBaseline, compareToBaseline, isBaseline, BASELINE_VERSION } from './baseline.js';
+
+export { renderPage, createFileResourceLoader } from './render.js';
+
+export { 
+  crawlerProfiles, 
+  registerCrawlerProfile, 
+  resolveCrawlerProfile, 
+  analyzeForCrawlers 
+} from './crawlers.js';
+
+export { fetchPage, analyzeUrl } from './url-analysis.js';
+
+export { parseRobotsTxt, matchRobotsTxt, parseRobotsDirectives, checkCrawlerAccess } from './robots.js';
+
+export { extractMetadata, compareMetadata } from './metadata.js';
+
+export { extractLinks, compareLinks } from './links.js';
+
+export { buildOutline, compareOutline } from './outline.js';
+
+export { extractNoscriptContent, compareNoscript } from './noscript.js';
+
 export { 
   hashDJB2, 
   pct, 
@@ -44,97 +121,79 @@ export {
 
 // Import functions for internal use
 import { stripTagsToText } from './html-filter.js';
-import { countWords } from './tokenizer.js';
-import { calculateSimilarity } from './diff-engine.js';
-import { formatNumberToK } from './utils.js';
+import { createTextContext } from './pipeline.js';
+import { analyzeContentDifference, generateVisibilityScore, calculateTextMetrics } from './analyzer.js';
+import { compareStructuredData } from './structured-data.js';
+import { compareMetadata } from './metadata.js';
+import { getMissingContent } from './missing-content.js';
+import { checkCrawlerAccess } from './robots.js';
+import { evaluateRecommendations } from './recommendations.js';
 
 /**
  * Quick analysis function for common use cases
+ *
+ * Returns word-count based metrics only. Use analyzeVisibilityAsync for the
+ * complete analysis including wordDiff, lineDiff and text hashes.
+ *
  * @param {string} initialHtml - HTML as seen by crawlers/AI
  * @param {string} renderedHtml - HTML as seen by users (fully loaded)
  * @param {Object} [options={}] - Analysis options
  * @param {boolean} [options.ignoreNavFooter=true] - Ignore navigation/footer elements
  * @param {boolean} [options.includeScore=true] - Include visibility score
+ * @param {string|Object} [options.scoringProfile="default"] - Scoring profile, see resolveScoringProfile
+ * @param {string|string[]} [options.excludeSelectors] - Other filter options, as in filterHtmlContent
  * @returns {Object} Analysis results
  */
 export function analyzeVisibility(initialHtml, renderedHtml, options = {}) {
-  const { ignoreNavFooter = true, includeScore = true } = options;
-  
-  // Import the functions from analyzer module to avoid circular imports
-  import('./analyzer.js').then(({ analyzeContentDifference, generateVisibilityScore }) => {
-    const analysis = analyzeContentDifference(initialHtml, renderedHtml, { ignoreNavFooter });
-    
-    if (includeScore) {
-      const score = generateVisibilityScore(analysis);
-      return {
-        ...analysis,
-        visibilityScore: score
-      };
-    }
-    
-    return analysis;
-  });
-  
-  // For synchronous usage, provide a simpler analysis
-  const text1 = stripTagsToText(initialHtml, ignoreNavFooter);
-  const text2 = stripTagsToText(renderedHtml, ignoreNavFooter);
-  
-  const words1 = countWords(text1);
-  const words2 = countWords(text2);
+  const { includeScore = true } = options;
   
-  const similarity = calculateSimilarity(text1, text2);
-  const contentGain = words1 > 0 ? words2 / words1 : (words2 > 0 ? words2 : 1);
-  const missingWords = Math.abs(words2 - words1);
-  const citationReadability = words1 === 0 ? 100 : (words2 > 0 ? Math.min(100, (words1 / words2) * 100) : 0);
+  const text1 = stripTagsToText(initialHtml, options);
+  const text2 = stripTagsToText(renderedHtml, options);
+  const ctx = createTextContext(text1, text2);
   
-  const metrics = {
-    contentGain: Math.round(contentGain * 10) / 10,
-    contentGainFormatted: `${Math.round(contentGain * 10) / 10}x`,
-    missingWords,
-    missingWordsFormatted: formatNumberToK(missingWords),
-    citationReadability: Math.round(citationReadability),
-    similarity: Math.round(similarity * 10) / 10,
-    wordCount: {
-      initial: words1,
-      final: words2,
-      difference: words2 - words1
-    }
-  };
-  
-  let visibilityScore = null;
-  if (includeScore) {
-    const score = Math.round(
-      citationReadability * 0.5 + 
-      similarity * 0.3 + 
-      Math.min(100, Math.max(0, 100 - ((contentGain - 1) * 50))) * 0.2
-    );
-    
-    let category, description;
-    if (score >= 90) {
-      category = "excellent";
-      description = "Excellent - AI models can easily read and cite your content";
-    } else if (score >= 70) {
-      category = "good";
-      description = "Good - Most of your content is visible to AI models";
-    } else if (score >= 50) {
-      category = "fair";
-      description = "Fair - Some content may be missed by AI crawlers";
-    } else {
-      category = "poor";
-      description = "Poor - Significant content is hidden from AI models";
-    }
-    
-    visibilityScore = { score, category, description };
-  }
+  const metrics = calculateTextMetrics(ctx);
   
   return {
     initialText: text1,
     finalText: text2,
     metrics,
-    ...(visibilityScore && { visibilityScore })
+    ...(includeScore && { visibilityScore: generateVisibilityScore({ metrics }, options) })
   };
 }
 
+/**
+ * Full visibility analysis, resolving to the complete analyzeContentDifference
+ * result (wordDiff, lineDiff, hashes) plus the visibility score breakdown
+ * @param {string} initialHtml - HTML as seen by crawlers/AI
+ * @param {string} renderedHtml - HTML as seen by users (fully loaded)
+ * @param {Object} [options={}] - Analysis options
+ * @param {boolean} [options.ignoreNavFooter=true] - Ignore navigation/footer elements
+ * @param {boolean} [options.includeScore=true] - Include visibility score
+ * @param {string|Object} [options.scoringProfile="default"] - Scoring profile, see resolveScoringProfile
+ * @param {boolean} [options.structural=false] - Also compare element trees (adds structureDiff)
+ * @param {boolean} [options.structuredData=false] - Also compare JSON-LD/microdata/RDFa (adds structuredData)
+ * @param {boolean} [options.metadata=false] - Also compare head metadata (adds metadata and applies its score penalty)
+ * @param {boolean} [options.links=false] - Also compare <a href> targets (adds links)
+ * @param {boolean} [options.outline=false] - Also compare heading outlines and landmarks (adds outline)
+ * @param {boolean} [options.sections=false] - Also score each section; the visibility score then weights sections
+ * @param {Function|Array} [options.sectionWeights] - Section weights, see getSectionWeight
+ * @returns {Promise<Object>} Analysis results
+ */
+export async function analyzeVisibilityAsync(initialHtml, renderedHtml, options = {}) {
+  const { includeScore = true, ...analysisOptions } = options;
+  
+  const analysis = analyzeContentDifference(initialHtml, renderedHtml, analysisOptions);
+  
+  if (includeScore) {
+    return {
+      ...analysis,
+      visibilityScore: generateVisibilityScore(analysis, analysisOptions)
+    };
+  }
+  
+  return analysis;
+}
+
 /**
  * Compare two HTML contents and get quick metrics
  * @param {string} html1 - First HTML content
@@ -143,17 +202,16 @@ export function analyzeVisibility(initialHtml, renderedHtml, options = {}) {
  * @returns {Object} Quick comparison metrics
  */
 export function quickCompare(html1, html2, options = {}) {
-  const { ignoreNavFooter = true } = options;
+  const text1 = stripTagsToText(html1, options);
+  const text2 = stripTagsToText(html2, options);
+  const ctx = createTextContext(text1, text2);
   
-  const text1 = stripTagsToText(html1, ignoreNavFooter);
-  const text2 = stripTagsToText(html2, ignoreNavFooter);
+  const words1 = ctx.initialTokens.length;
+  const words2 = ctx.finalTokens.length;
   
-  const words1 = countWords(text1);
-  const words2 = countWords(text2);
-  
-  const similarity = calculateSimilarity(text1, text2);
+  const similarity = ctx.similarity;
   const contentGain = words1 > 0 ? words2 / words1 : 1;
-  const missingWords = Math.abs(words2 - words1);
+  const missingWords = ctx.missingWords;
   
   return {
     wordCount: {
@@ -172,49 +230,64 @@ export function quickCompare(html1, html2, options = {}) {
  * @param {string} initialHtml - HTML as crawlers see it
  * @param {string} renderedHtml - HTML as users see it
  * @param {Object} [options={}] - Options
- * @returns {Object} Citation readiness results
+ * @param {boolean} [options.includeStructuredData=false] - Compare JSON-LD/microdata/RDFa between versions
+ * @param {boolean} [options.includeMetadata=false] - Compare head metadata (title, description, canonical, robots, Open Graph)
+ * @param {boolean} [options.includeRobots=false] - Check crawler access; a blocked crawler forces the lowest category
+ * @param {string|Object} [options.robotsTxt] - robots.txt text or parseRobotsTxt result, matched against options.url
+ * @param {Object} [options.headers] - Response headers of the page (X-Robots-Tag)
+ * @param {string} [options.url] - Page URL
+ * @param {Array} [options.crawlers] - Crawler profiles to check, see checkCrawlerAccess
+ * @param {string|Object} [options.scoringProfile="default"] - Scoring profile, see resolveScoringProfile
+ * @param {string[]} [options.disableRules] - Recommendation rule ids to skip, see recommendationRules
+ * @returns {Object} Citation readiness results; findings are structured recommendations
+ *   ({ id, severity, message, evidence, fix }) and recommendations lists their messages
  */
 export function getCitationReadiness(initialHtml, renderedHtml, options = {}) {
-  const analysis = analyzeVisibility(initialHtml, renderedHtml, options);
+  const { includeStructuredData = false, includeMetadata = false, includeRobots = false } = options;
+  const analysis = analyzeVisibility(initialHtml, renderedHtml, { ...options, includeScore: false });
+  const findings = {};
+  
+  if (includeStructuredData) {
+    const { typesOnlyRendered, propertiesOnlyRendered, summary } = compareStructuredData(initialHtml, renderedHtml);
+    findings.structuredData = { typesOnlyRendered, propertiesOnlyRendered, summary };
+  }
+  
+  if (includeMetadata) {
+    const { fields, issues, summary } = compareMetadata(initialHtml, renderedHtml);
+    findings.metadata = { fields, issues, summary };
+  }
+  
+  if (includeRobots) {
+    const { url, robotsTxt, headers } = options;
+    findings.robots = checkCrawlerAccess({ url, robotsTxt, headers, initialHtml, renderedHtml }, options);
+  }
+  
+  const visibilityScore = generateVisibilityScore({ metrics: analysis.metrics, metadata: findings.metadata, robots: findings.robots }, options);
+  
+  // Missing passages are only computed when a rule asks for them as evidence
+  let missingContent;
+  const context = {
+    ...findings,
+    metrics: analysis.metrics,
+    get missingContent() {
+      if (missingContent === undefined) missingContent = getMissingContent(initialHtml, renderedHtml, options);
+      return missingContent;
+    }
+  };
+  const ruleFindings = evaluateRecommendations(context, options);
   
   return {
-    score: analysis.visibilityScore?.score || 0,
-    category: analysis.visibilityScore?.category || 'unknown',
-    description: analysis.visibilityScore?.description || 'Analysis completed',
+    score: visibilityScore.score,
+    category: visibilityScore.category,
+    description: visibilityScore.description,
     metrics: {
       citationReadability: analysis.metrics.citationReadability,
       contentGain: analysis.metrics.contentGain,
       missingWords: analysis.metrics.missingWords,
       similarity: analysis.metrics.similarity
     },
-    recommendations: generateRecommendations(analysis.metrics)
+    ...findings,
+    findings: ruleFindings,
+    recommendations: ruleFindings.map(finding => finding.message)
   };
 }
-
-/**
- * Generate recommendations based on analysis results
- * @param {Object} metrics - Analysis metrics
- * @returns {Array} Array of recommendation strings
- */
-function generateRecommendations(metrics) {
-  const recommendations = [];
-  const { citationReadability, contentGain, missingWords } = metrics;
-  
-  if (citationReadability < 50) {
-    recommendations.push("Consider implementing server-side rendering (SSR) to improve content visibility for AI crawlers");
-  }
-  
-  if (contentGain > 3) {
-    recommendations.push("Significant content is loaded via JavaScript - ensure critical content is present in initial HTML");
-  }
-  
-  if (missingWords > 1000) {
-    recommendations.push("Large amount of content is missing from initial HTML - review your content loading strategy");
-  }
-  
-  if (citationReadability >= 80 && contentGain < 1.5) {
-    recommendations.push("Great job! Your content is well-optimized for AI visibility and citations");
-  }
-  
-  return recommendations;
-}
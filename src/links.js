@@ -0,0 +1,192 @@
+/**
+ * Link visibility analysis
+ * Extracts <a href> targets from both versions of a page so links that only
+ * exist after JavaScript runs - and therefore never reach crawlers that do
+ * not render - can be reported.
+ */
+
+import * as cheerio from 'cheerio';
+import { getCssPath } from './dom-utils.js';
+
+/**
+ * Extract links from HTML
+ * @param {string} htmlContent - Raw HTML content
+ * @param {Object} [options={}] - Extraction options
+ * @param {string} [options.baseUrl] - URL to resolve relative hrefs against (defaults to <base href>)
+ * @returns {Array} Links as { href, url, type, text, rel, hasClickHandler, selector }
+ *   where type is internal | external | anchor | javascript | other; <a> elements without an href
+ *   (named anchors, placeholders) are only links when they have an onclick handler
+ */
+export function extractLinks(htmlContent, options = {}) {
+  if (!htmlContent) return [];
+
+  const $ = cheerio.load(htmlContent);
+  const baseUrl = resolveBaseUrl(options.baseUrl, $('base[href]').first().attr('href'));
+
+  return $('a[href], a[onclick]').toArray().map(el => {
+    const href = ($(el).attr('href') || '').trim();
+    const { url, type } = classifyHref(href, baseUrl);
+    return {
+      href,
+      url,
+      type,
+      text: $(el).text().replace(/\s+/g, ' ').trim(),
+      rel: $(el).attr('rel') || null,
+      hasClickHandler: $(el).attr('onclick') !== undefined,
+      selector: getCssPath(el)
+    };
+  });
+}
+
+/**
+ * Compare links between the initial and rendered HTML
+ * @param {string} initialHtml - HTML as seen by crawlers/AI
+ * @param {string} renderedHtml - HTML as seen by users (fully loaded)
+ * @param {Object} [options={}] - Comparison options
+ * @param {string} [options.baseUrl] - URL to resolve relative hrefs against
+ * @returns {Object} { initial, rendered, onlyRendered, onlyInitial, jsOnly, summary }
+ *   - jsOnly: javascript:/"#" pseudo-links added by JavaScript (absent from the initial HTML, matched by
+ *     href and text); summary.jsOnlyWithClickHandler counts those with an onclick handler
+ */
+export function compareLinks(initialHtml, renderedHtml, options = {}) {
+  const initial = extractLinks(initialHtml, options);
+  const rendered = extractLinks(renderedHtml, options);
+
+  const crawlable = (link) => link.type !== 'javascript';
+  const initialUrls = new Set(initial.filter(crawlable).map(link => link.url));
+  const renderedUrls = new Set(rendered.filter(crawlable).map(link => link.url));
+
+  const onlyRendered = uniqueByUrl(rendered.filter(link => crawlable(link) && !initialUrls.has(link.url)));
+  const onlyInitial = uniqueByUrl(initial.filter(link => crawlable(link) && !renderedUrls.has(link.url)));
+  // Pseudo-links have no URL; pair them by href and text, one rendered link per initial link
+  const pseudoKey = (link) => `${link.href}\n${link.text}`;
+  const initialPseudo = new Map();
+  initial.filter(link => !crawlable(link)).forEach(link => {
+    initialPseudo.set(pseudoKey(link), (initialPseudo.get(pseudoKey(link)) || 0) + 1);
+  });
+  const jsOnly = rendered.filter(link => {
+    if (crawlable(link)) return false;
+    const remaining = initialPseudo.get(pseudoKey(link)) || 0;
+    if (remaining === 0) return true;
+    initialPseudo.set(pseudoKey(link), remaining - 1);
+    return false;
+  });
+
+  // Group internal links crawlers cannot discover by their first path segment
+  const undiscoverableSections = {};
+  onlyRendered
+    .filter(link => link.type === 'internal')
+    .forEach(link => {
+      const section = getSection(link.url);
+      undiscoverableSections[section] = (undiscoverableSections[section] || 0) + 1;
+    });
+
+  return {
+    initial,
+    rendered,
+    onlyRendered,
+    onlyInitial,
+    jsOnly,
+    summary: {
+      initialLinks: initialUrls.size,
+      renderedLinks: renderedUrls.size,
+      onlyRendered: onlyRendered.length,
+      onlyRenderedInternal: onlyRendered.filter(link => link.type === 'internal').length,
+      onlyInitial: onlyInitial.length,
+      jsOnly: jsOnly.length,
+      jsOnlyWithClickHandler: jsOnly.filter(link => link.hasClickHandler).length,
+      byType: countByType(rendered),
+      undiscoverableSections
+    }
+  };
+}
+
+/**
+ * Pick the URL relative hrefs resolve against
+ * @param {string} [baseUrl] - Caller-provided base URL
+ * @param {string} [baseHref] - Document <base href>
+ * @returns {URL|null} Base URL or null when relative links cannot be resolved
+ */
+function resolveBaseUrl(baseUrl, baseHref) {
+  try {
+    if (baseUrl) return new URL(baseHref || '', baseUrl);
+    if (baseHref) return new URL(baseHref);
+  } catch (e) {
+    // Invalid base - leave relative links unresolved
+  }
+  return null;
+}
+
+/**
+ * Resolve and classify an href
+ * @param {string} href - Raw href attribute
+ * @param {URL|null} baseUrl - Base URL
+ * @returns {Object} { url, type }
+ */
+function classifyHref(href, baseUrl) {
+  if (!href || href === '#' || /^javascript:/i.test(href)) {
+    return { url: null, type: 'javascript' };
+  }
+  if (href.startsWith('#')) {
+    return { url: href, type: 'anchor' };
+  }
+
+  let url;
+  try {
+    url = baseUrl ? new URL(href, baseUrl) : new URL(href);
+  } catch (e) {
+    // An absolute URL that does not parse (e.g. "http://[bad") leads nowhere
+    if (/^([a-z][a-z\d+.-]*:|\/\/)/i.test(href)) return { url: href, type: 'other' };
+    // Relative href without a base URL - it can only point to the same site
+    return { url: href, type: 'internal' };
+  }
+
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    return { url: url.href, type: 'other' };
+  }
+  if (baseUrl && url.origin === baseUrl.origin && url.pathname === baseUrl.pathname && url.search === baseUrl.search && url.hash) {
+    return { url: url.hash, type: 'anchor' };
+  }
+  return { url: url.href, type: baseUrl && url.origin === baseUrl.origin ? 'internal' : 'external' };
+}
+
+/**
+ * First path segment of a URL, e.g. "/blog" for "https://example.com/blog/post"
+ * @param {string} url - Absolute or root-relative URL
+ * @returns {string} Section path
+ */
+function getSection(url) {
+  let pathname;
+  try {
+    pathname = new URL(url).pathname;
+  } catch (e) {
+    pathname = url.split(/[?#]/)[0];
+  }
+  const segment = pathname.split('/').filter(Boolean)[0];
+  return segment ? `/${segment}` : '/';
+}
+
+/**
+ * Keep the first link for each URL
+ * @param {Array} links - Links
+ * @returns {Array} Links with unique URLs
+ */
+function uniqueByUrl(links) {
+  const seen = new Set();
+  return links.filter(link => {
+    if (seen.has(link.url)) return false;
+    seen.add(link.url);
+    return true;
+  });
+}
+
+/**
+ * Count links by type
+ * @param {Array} links - Links
+ * @returns {Object} { internal, external, anchor, javascript, other }
+ */
+function countByType(links) {
+  const counts = { internal: 0, external: 0, anchor: 0, javascript: 0, other: 0 };
+  links.forEach(link => counts[link.type]++);
+  return counts;
+}
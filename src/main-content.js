@@ -0,0 +1,115 @@
+/**
+ * Main content extraction (readability-style boilerplate detection)
+ * Works on both DOMParser and cheerio (domhandler) trees through the
+ * standard childNodes/parentNode/nodeType/nodeValue node interface
+ */
+
+import { getTagName, getAttribute, getChildElements, getTextContent } from './dom-utils.js';
+
+const ELEMENT_NODE = 1;
+
+// Elements whose text counts towards the score of their containers
+const PARAGRAPH_TAGS = new Set(['p', 'pre', 'blockquote', 'td', 'li', 'dd', 'h2', 'h3', 'h4']);
+
+// Elements considered as main content candidates
+const CONTAINER_TAGS = new Set(['div', 'section', 'article', 'main', 'td', 'body', 'blockquote', 'pre']);
+
+const POSITIVE_PATTERN = /article|body|content|entry|main|page|post|text|blog|story|prose/i;
+const NEGATIVE_PATTERN = /comment|sidebar|footer|footnote|related|share|social|promo|banner|cookie|consent|menu|nav|widget|sponsor|advert|\bads?\b|popup|modal|rail|newsletter|subscribe/i;
+
+/**
+ * Find the elements holding the primary content of a page
+ *
+ * Paragraph-like blocks score their parent and grandparent by text length
+ * and punctuation; candidates are then weighted by class/id hints and
+ * landmark roles and penalized by link density. The best candidate and any
+ * sibling that scores close to it are returned.
+ *
+ * @param {Node} root - Element to search (usually the body)
+ * @returns {Node[]} Main content elements in document order (empty when nothing scores)
+ */
+export function findMainContent(root) {
+  const scores = new Map();
+  const addScore = (node, value) => {
+    if (node && node.nodeType === ELEMENT_NODE && CONTAINER_TAGS.has(getTagName(node))) {
+      scores.set(node, (scores.get(node) || 0) + value);
+    }
+  };
+
+  walkElements(root, el => {
+    if (!PARAGRAPH_TAGS.has(getTagName(el))) return;
+    const text = getTextContent(el);
+    if (text.length < 25) return;
+
+    const score = 1 + text.split(',').length + Math.min(Math.floor(text.length / 100), 3);
+    addScore(el.parentNode, score);
+    addScore(el.parentNode && el.parentNode.parentNode, score / 2);
+  });
+
+  let best = null, bestScore = 0;
+  const finalScores = new Map();
+  scores.forEach((score, el) => {
+    const adjusted = (score + classWeight(el)) * (1 - linkDensity(el));
+    finalScores.set(el, adjusted);
+    if (adjusted > bestScore) {
+      best = el;
+      bestScore = adjusted;
+    }
+  });
+
+  if (!best) return [];
+
+  // Keep siblings that look like continuations of the main content
+  const threshold = Math.max(10, bestScore * 0.2);
+  return getChildElements(best.parentNode || root).filter(sibling =>
+    sibling === best ||
+    ((finalScores.get(sibling) || 0) >= threshold && linkDensity(sibling) < 0.25)
+  );
+}
+
+/**
+ * Score adjustment from class/id naming conventions and landmark roles
+ * @param {Node} el - Element
+ * @returns {number} Weight to add to the content score
+ */
+function classWeight(el) {
+  const tag = getTagName(el);
+  const role = getAttribute(el, 'role');
+  const hints = `${getAttribute(el, 'id') || ''} ${getAttribute(el, 'class') || ''}`;
+  let weight = 0;
+
+  if (tag === 'main' || tag === 'article' || role === 'main' || role === 'article') weight += 30;
+  if (role === 'complementary' || role === 'navigation' || role === 'contentinfo') weight -= 30;
+  if (POSITIVE_PATTERN.test(hints)) weight += 25;
+  if (NEGATIVE_PATTERN.test(hints)) weight -= 25;
+
+  return weight;
+}
+
+/**
+ * Share of an element's text that sits inside links
+ * @param {Node} el - Element
+ * @returns {number} Link density (0-1)
+ */
+function linkDensity(el) {
+  const total = getTextContent(el).length;
+  if (total === 0) return 0;
+
+  let linkText = 0;
+  walkElements(el, child => {
+    if (getTagName(child) === 'a') linkText += getTextContent(child).length;
+  });
+  return Math.min(1, linkText / total);
+}
+
+/**
+ * Visit every descendant element in document order
+ * @param {Node} node - Starting node
+ * @param {Function} visit - Callback receiving each element
+ */
+function walkElements(node, visit) {
+  getChildElements(node).forEach(child => {
+    visit(child);
+    walkElements(child, visit);
+  });
+}
@@ -0,0 +1,146 @@
+/**
+ * Metadata visibility analysis
+ * Compares <head> metadata (title, description, canonical, robots, Open Graph)
+ * between the initial HTML and the rendered DOM. Client-rendered frameworks
+ * often inject these tags late, so crawlers that do not run JavaScript never
+ * see them.
+ */
+
+import * as cheerio from 'cheerio';
+
+// Score penalty per issue severity, capped at MAX_METADATA_PENALTY
+const SEVERITY_PENALTY = { high: 10, medium: 5, low: 2 };
+const MAX_METADATA_PENALTY = 25;
+
+/**
+ * Extract head metadata from HTML
+ * @param {string} htmlContent - Raw HTML content
+ * @returns {Object} { title, description, canonical, robots, openGraph } - missing fields are null
+ */
+export function extractMetadata(htmlContent) {
+  const metadata = { title: null, description: null, canonical: null, robots: null, openGraph: {} };
+  if (!htmlContent) return metadata;
+
+  const $ = cheerio.load(htmlContent);
+  const clean = (value) => {
+    const text = (value || '').replace(/\s+/g, ' ').trim();
+    return text || null;
+  };
+
+  metadata.title = clean($('head > title').first().text());
+  metadata.description = clean($('meta[name="description" i]').first().attr('content'));
+  metadata.canonical = clean($('link[rel~="canonical" i]').first().attr('href'));
+  metadata.robots = clean($('meta[name="robots" i]').map((i, el) => $(el).attr('content')).get().join(', '));
+
+  $('meta[property^="og:"]').each((i, el) => {
+    const property = $(el).attr('property').toLowerCase();
+    const content = clean($(el).attr('content'));
+    if (content && !metadata.openGraph[property]) {
+      metadata.openGraph[property] = content;
+    }
+  });
+
+  return metadata;
+}
+
+/**
+ * Compare head metadata between the initial and rendered HTML
+ * @param {string} initialHtml - HTML as seen by crawlers/AI
+ * @param {string} renderedHtml - HTML as seen by users (fully loaded)
+ * @returns {Object} { initial, rendered, fields, issues, summary }
+ */
+export function compareMetadata(initialHtml, renderedHtml) {
+  const initial = extractMetadata(initialHtml);
+  const rendered = extractMetadata(renderedHtml);
+
+  const fieldNames = [
+    'title', 'description', 'canonical', 'robots',
+    ...new Set([...Object.keys(initial.openGraph), ...Object.keys(rendered.openGraph)])
+  ];
+  const valueOf = (metadata, field) => (field.startsWith('og:') ? metadata.openGraph[field] : metadata[field]) || null;
+
+  const fields = fieldNames.map(field => {
+    const before = valueOf(initial, field);
+    const after = valueOf(rendered, field);
+    return { field, initial: before, rendered: after, status: getFieldStatus(before, after) };
+  });
+
+  const issues = getMetadataIssues(fields);
+
+  return {
+    initial,
+    rendered,
+    fields,
+    issues,
+    summary: {
+      onlyRendered: fields.filter(f => f.status === 'onlyRendered').length,
+      changed: fields.filter(f => f.status === 'changed').length,
+      onlyInitial: fields.filter(f => f.status === 'onlyInitial').length,
+      issues: issues.length,
+      penalty: Math.min(MAX_METADATA_PENALTY, issues.reduce((sum, issue) => sum + SEVERITY_PENALTY[issue.severity], 0))
+    }
+  };
+}
+
+/**
+ * Classify how a metadata field differs between versions
+ * @param {string|null} before - Initial value
+ * @param {string|null} after - Rendered value
+ * @returns {string} same | changed | onlyRendered | onlyInitial | missing
+ */
+function getFieldStatus(before, after) {
+  if (before === null && after === null) return 'missing';
+  if (before === null) return 'onlyRendered';
+  if (after === null) return 'onlyInitial';
+  return before === after ? 'same' : 'changed';
+}
+
+/**
+ * Turn field differences into issues with a severity and a fix hint
+ * @param {Array} fields - Field comparisons from compareMetadata
+ * @returns {Array} Issues as { field, status, severity, message }
+ */
+function getMetadataIssues(fields) {
+  const issues = [];
+  const jsOnlyOpenGraph = [];
+
+  fields.forEach(({ field, status, rendered }) => {
+    if (status !== 'onlyRendered' && status !== 'changed') return;
+    const late = status === 'onlyRendered' ? 'is only set by JavaScript' : 'is changed by JavaScript';
+
+    if (field === 'canonical') {
+      issues.push({ field, status, severity: 'high', message: `Canonical URL ${late} - crawlers that do not render may index a different URL; set it in the initial HTML` });
+    } else if (field === 'robots') {
+      const noindex = /noindex/i.test(rendered || '');
+      issues.push({
+        field,
+        status,
+        severity: 'high',
+        message: noindex
+          ? `Robots "noindex" ${late} - crawlers that do not render will still index the page; set robots directives in the initial HTML`
+          : `Robots meta tag ${late} - crawlers may apply different directives; set it in the initial HTML`
+      });
+    } else if (field === 'title' || field === 'description') {
+      const label = field === 'title' ? 'Page title' : 'Meta description';
+      issues.push({
+        field,
+        status,
+        severity: status === 'onlyRendered' ? 'medium' : 'low',
+        message: `${label} ${late} - render it server-side so AI crawlers see the intended ${field}`
+      });
+    } else if (status === 'onlyRendered') {
+      jsOnlyOpenGraph.push(field);
+    }
+  });
+
+  if (jsOnlyOpenGraph.length > 0) {
+    issues.push({
+      field: 'openGraph',
+      status: 'onlyRendered',
+      severity: 'low',
+      message: `Open Graph tags (${jsOnlyOpenGraph.join(', ')}) are only set by JavaScript - link previews and AI crawlers will miss them`
+    });
+  }
+
+  return issues;
+}
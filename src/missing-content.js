@@ -0,0 +1,128 @@
+/**
+ * Missing content report
+ * Locates the passages of rendered content that are absent from the initial HTML
+ */
+
+import { loadCheerioDocument, getCheerioText } from './html-filter.js';
+import { tokenize } from './tokenizer.js';
+import { diffTokenArrays } from './diff-engine.js';
+import { isElement, isHeading, getCssPath, getCommonAncestor, getNodeText } from './dom-utils.js';
+
+/**
+ * List the text passages that only exist in the rendered HTML
+ * @param {string} initialHtml - HTML as seen by crawlers/AI
+ * @param {string} renderedHtml - HTML as seen by users (fully loaded)
+ * @param {Object} [options={}] - Report options
+ * @param {boolean} [options.ignoreNavFooter=true] - Ignore navigation/footer elements
+ * @param {number} [options.minWords=1] - Skip passages shorter than this many words
+ * @returns {Object} Report with totalMissingWords and passages ranked by size
+ */
+export function getMissingContent(initialHtml, renderedHtml, options = {}) {
+  const { minWords = 1 } = options;
+
+  // Remaining options (ignoreNavFooter, excludeSelectors, ...) configure the content filter
+  const initialTokens = tokenize(getCheerioText(loadCheerioDocument(initialHtml, options)), "word");
+  const $ = loadCheerioDocument(renderedHtml, options);
+  const segments = collectTextSegments($);
+  const finalTokens = tokenize(getCheerioText($), "word");
+
+  const ops = diffTokenArrays(initialTokens, finalTokens);
+  const passages = groupMissingPassages(ops)
+    .map(range => describePassage(range, finalTokens, segments))
+    .filter(passage => passage.wordCount >= minWords)
+    .sort((a, b) => b.wordCount - a.wordCount || a.position - b.position);
+
+  return {
+    totalMissingWords: passages.reduce((sum, p) => sum + p.wordCount, 0),
+    passageCount: passages.length,
+    passages
+  };
+}
+
+/**
+ * Group runs of added tokens into contiguous ranges of the rendered token stream
+ * @param {Array} ops - Diff operations from diffTokenArrays
+ * @returns {Array} Ranges as {start, end} final-token indexes (end exclusive)
+ */
+function groupMissingPassages(ops) {
+  const ranges = [];
+  let index = 0;
+  let current = null;
+
+  ops.forEach(op => {
+    if (op.type === "add") {
+      if (!current) current = { start: index, end: index };
+      current.end = ++index;
+    } else if (op.type === "same") {
+      // Deleted tokens do not occupy rendered positions, so only "same" breaks a passage
+      if (current) ranges.push(current);
+      current = null;
+      index++;
+    }
+  });
+  if (current) ranges.push(current);
+
+  return ranges;
+}
+
+/**
+ * Resolve a token range to its text, enclosing element and heading context
+ * @param {Object} range - {start, end} final-token indexes
+ * @param {string[]} finalTokens - Rendered token array
+ * @param {Array} segments - Text segments from collectTextSegments
+ * @returns {Object} Passage description
+ */
+function describePassage(range, finalTokens, segments) {
+  // Tokens only differ from the source text in whitespace, so offsets over
+  // non-whitespace characters map tokens back to their text nodes
+  let charStart = 0;
+  for (let i = 0; i < range.start; i++) charStart += finalTokens[i].length;
+  let charEnd = charStart;
+  for (let i = range.start; i < range.end; i++) charEnd += finalTokens[i].length;
+
+  const covered = segments.filter(s => s.end > charStart && s.start < charEnd);
+  const element = getCommonAncestor(covered.map(s => s.node));
+  const heading = covered.length > 0 ? covered[0].heading : null;
+
+  return {
+    text: finalTokens.slice(range.start, range.end).join(' '),
+    wordCount: range.end - range.start,
+    position: range.start,
+    tag: element ? element.name : null,
+    selector: element ? getCssPath(element) : null,
+    heading
+  };
+}
+
+/**
+ * Walk the document in order, recording each non-empty text node with its
+ * offsets over non-whitespace characters and its nearest preceding heading
+ * @param {CheerioAPI} $ - Filtered cheerio document
+ * @returns {Array} Segments as {node, start, end, heading}
+ */
+function collectTextSegments($) {
+  const segments = [];
+  let offset = 0;
+  let heading = null;
+
+  const walk = (node) => {
+    if (node.type === 'text') {
+      const length = node.data.replace(/\s+/g, '').length;
+      if (length > 0) {
+        segments.push({ node, start: offset, end: offset + length, heading });
+        offset += length;
+      }
+      return;
+    }
+    if (isHeading(node)) {
+      heading = { level: Number(node.name.slice(1)), text: getNodeText(node) };
+    }
+    if (isElement(node) || node.type === 'root') {
+      (node.children || []).forEach(walk);
+    }
+  };
+
+  const root = $('html')[0] || $.root()[0];
+  walk(root);
+  return segments;
+}
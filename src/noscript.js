@@ -0,0 +1,92 @@
+/**
+ * <noscript> fallback analysis
+ * Measures how much of the rendered content the <noscript> fallback of the
+ * initial HTML repeats. Crawlers that do not run JavaScript read the fallback
+ * instead of the script-built content.
+ */
+
+import * as cheerio from 'cheerio';
+import { loadCheerioDocument, getCheerioText, extractContent } from './html-filter.js';
+import { tokenize } from './tokenizer.js';
+import { diffTokenArrays, buildDiffReport } from './diff-engine.js';
+import { createTextContext } from './pipeline.js';
+import { getCssPath } from './dom-utils.js';
+
+/**
+ * Extract the text of each <noscript> block in the body
+ * @param {string} htmlContent - Raw HTML content
+ * @param {Object} [options={}] - Filter options applied to each block's content, as in filterHtmlContent
+ * @returns {Object} { blocks, text, wordCount } - blocks as {selector, text, wordCount}; blocks without
+ *   text (tracking pixels, bare links to stylesheets) are skipped
+ */
+export function extractNoscriptContent(htmlContent, options = {}) {
+  if (!htmlContent) return { blocks: [], text: '', wordCount: 0 };
+
+  const $ = cheerio.load(htmlContent);
+  const blocks = $('body noscript').toArray()
+    .map(el => {
+      const text = getCheerioText(loadCheerioDocument($(el).html() || '', options)).trim();
+      return { selector: getCssPath(el), text, wordCount: tokenize(text, 'word').length };
+    })
+    .filter(block => block.wordCount > 0);
+
+  return {
+    blocks,
+    text: blocks.map(block => block.text).join('\n'),
+    wordCount: blocks.reduce((sum, block) => sum + block.wordCount, 0)
+  };
+}
+
+/**
+ * Compare the <noscript> fallback of the initial HTML with the rendered content
+ *
+ * Words are matched in order (longest common subsequence), so a fallback
+ * that lists the same words out of order covers less.
+ *
+ * @param {string} initialHtml - HTML as served, where the fallback lives
+ * @param {string} renderedHtml - HTML as users see it (fully loaded)
+ * @param {Object} [options={}] - Filter options, as in filterHtmlContent
+ * @returns {Object} Coverage report
+ *   - blocks: {selector, text, wordCount, matchedWords, accuracy} where accuracy is the percentage
+ *     of the block's words found in the rendered content
+ *   - fallbackWords, renderedWords, coveredWords: words in the fallback, in the rendered content
+ *     and in both
+ *   - coverage: percentage of rendered words the fallback repeats
+ *   - staleWords: fallback words missing from the rendered content (outdated or fallback-only text)
+ *   - initial: { withoutNoscript, withNoscript } as { words, citationReadability } of the initial HTML
+ */
+export function compareNoscript(initialHtml, renderedHtml, options = {}) {
+  const fallback = extractNoscriptContent(initialHtml, options);
+  const renderedText = extractContent(renderedHtml, options).text;
+  const renderedTokens = tokenize(renderedText, 'word');
+
+  const ctx = createTextContext(fallback.text, renderedText);
+  const renderedWords = ctx.finalTokens.length;
+  const coveredWords = renderedWords - ctx.missingWords;
+
+  const blocks = fallback.blocks.map(block => {
+    const matchedWords = renderedTokens.length > 0
+      ? buildDiffReport(diffTokenArrays(tokenize(block.text, 'word'), renderedTokens)).sameCount
+      : 0;
+    return { ...block, matchedWords, accuracy: Math.round((matchedWords / block.wordCount) * 100) };
+  });
+
+  const initialView = includeNoscript => {
+    const words = tokenize(extractContent(initialHtml, { ...options, includeNoscript }).text, 'word').length;
+    const citationReadability = renderedWords > 0 ? Math.min(100, (words / renderedWords) * 100) : 100;
+    return { words, citationReadability: Math.round(citationReadability) };
+  };
+
+  return {
+    blocks,
+    fallbackWords: fallback.wordCount,
+    renderedWords,
+    coveredWords,
+    coverage: renderedWords > 0 ? Math.round((coveredWords / renderedWords) * 100) : 100,
+    staleWords: fallback.wordCount - coveredWords,
+    initial: {
+      withoutNoscript: initialView(false),
+      withNoscript: initialView(true)
+    }
+  };
+}
@@ -0,0 +1,200 @@
+/**
+ * Heading outline and document-structure comparison
+ * Builds the h1-h6 outline, landmarks and heading-delimited sections of the
+ * filtered document and compares them between the initial and rendered HTML
+ */
+
+import { loadCheerioDocument } from './html-filter.js';
+import { diffTokenArrays } from './diff-engine.js';
+import { createTextContext } from './pipeline.js';
+import { countWords } from './tokenizer.js';
+import { isElement, isHeading, getCssPath, getNodeText } from './dom-utils.js';
+
+// Implicit ARIA landmark roles of sectioning elements
+const LANDMARK_TAGS = {
+  main: 'main',
+  article: 'article',
+  section: 'region',
+  aside: 'complementary',
+  nav: 'navigation',
+  header: 'banner',
+  footer: 'contentinfo'
+};
+
+const LANDMARK_ROLES = new Set([...Object.values(LANDMARK_TAGS), 'search', 'form']);
+
+/**
+ * Build the heading outline of a document
+ * @param {string} htmlContent - Raw HTML content
+ * @param {Object} [options={}] - Filter options, as in filterHtmlContent
+ * @returns {Object} { headings, landmarks, sections }
+ *   - headings: {level, text, selector, parent} in document order (parent is the enclosing heading's text)
+ *   - landmarks: {tag, role, selector, heading} where heading is the first heading inside
+ *   - sections: {heading, selector, text, wordCount}; text runs up to the next heading of any
+ *     level, and body content before the first heading forms a section with a null heading
+ */
+export function buildOutline(htmlContent, options = {}) {
+  const $ = loadCheerioDocument(htmlContent, options);
+  const headings = [];
+  const sections = [];
+  const stack = [];
+  let current = { heading: null, selector: null, parts: [] };
+
+  const closeSection = () => {
+    const text = current.parts.join('').replace(/\s+/g, ' ').trim();
+    if (current.heading || text) {
+      sections.push({
+        heading: current.heading,
+        selector: current.selector,
+        text,
+        wordCount: countWords(text)
+      });
+    }
+  };
+
+  const walk = (node) => {
+    if (node.type === 'text') {
+      current.parts.push(node.data);
+      return;
+    }
+    if (isHeading(node)) {
+      const heading = { level: Number(node.name.slice(1)), text: getNodeText(node), selector: getCssPath(node) };
+      while (stack.length > 0 && stack[stack.length - 1].level >= heading.level) stack.pop();
+      heading.parent = stack.length > 0 ? stack[stack.length - 1].text : null;
+      headings.push(heading);
+      stack.push(heading);
+
+      closeSection();
+      current = { heading: { level: heading.level, text: heading.text }, selector: heading.selector, parts: [] };
+      return;
+    }
+    if (isElement(node) || node.type === 'root') {
+      (node.children || []).forEach(walk);
+    }
+  };
+
+  // <head> text (title, inline data) is not part of any section
+  walk($('body')[0] || $.root()[0]);
+  closeSection();
+
+  const landmarks = $('*').toArray()
+    .map(el => ({ el, role: $(el).attr('role') || LANDMARK_TAGS[el.name] }))
+    .filter(({ role }) => LANDMARK_ROLES.has(role))
+    .map(({ el, role }) => {
+      const first = $(el).find('h1, h2, h3, h4, h5, h6').first()[0];
+      return {
+        tag: el.name,
+        role,
+        selector: getCssPath(el),
+        heading: first ? { level: Number(first.name.slice(1)), text: getNodeText(first) } : null
+      };
+    });
+
+  return { headings, landmarks, sections };
+}
+
+/**
+ * Compare the heading outline of the initial and rendered HTML
+ * @param {string} initialHtml - HTML as seen by crawlers/AI
+ * @param {string} renderedHtml - HTML as seen by users (fully loaded)
+ * @param {Object} [options={}] - Filter options, as in filterHtmlContent
+ * @returns {Object} Missing/removed headings, hierarchy changes, landmark and per-section differences
+ */
+export function compareOutline(initialHtml, renderedHtml, options = {}) {
+  const initial = buildOutline(initialHtml, options);
+  const rendered = buildOutline(renderedHtml, options);
+
+  // Align headings by their normalized text, in document order
+  const key = (heading) => heading.text.toLowerCase();
+  const ops = diffTokenArrays(initial.headings.map(key), rendered.headings.map(key));
+
+  const missingHeadings = [];
+  const removedHeadings = [];
+  const hierarchyChanges = [];
+  const matchedText = new Map();
+  let i = 0, j = 0;
+
+  ops.forEach(op => {
+    if (op.type === 'same') {
+      const before = initial.headings[i++];
+      const after = rendered.headings[j++];
+      matchedText.set(after, before);
+      if (before.level !== after.level) {
+        hierarchyChanges.push({ type: 'level', text: after.text, selector: after.selector, initialLevel: before.level, renderedLevel: after.level });
+      } else if (before.parent !== after.parent) {
+        hierarchyChanges.push({ type: 'parent', text: after.text, selector: after.selector, initialParent: before.parent, renderedParent: after.parent });
+      }
+    } else if (op.type === 'add') {
+      missingHeadings.push(rendered.headings[j++]);
+    } else {
+      removedHeadings.push(initial.headings[i++]);
+    }
+  });
+
+  const sections = compareSections(initial, rendered, matchedText);
+  const absentSections = sections.filter(s => s.renderedWords > 0 && s.initialWords === 0);
+
+  const landmarkKey = (landmark) => `${landmark.role}|${landmark.heading ? landmark.heading.text.toLowerCase() : ''}`;
+  const initialLandmarks = new Set(initial.landmarks.map(landmarkKey));
+  const missingLandmarks = rendered.landmarks.filter(landmark => !initialLandmarks.has(landmarkKey(landmark)));
+
+  return {
+    initial,
+    rendered,
+    missingHeadings,
+    removedHeadings,
+    hierarchyChanges,
+    missingLandmarks,
+    sections,
+    absentSections,
+    summary: {
+      initialHeadings: initial.headings.length,
+      renderedHeadings: rendered.headings.length,
+      missingHeadings: missingHeadings.length,
+      removedHeadings: removedHeadings.length,
+      hierarchyChanges: hierarchyChanges.length,
+      missingLandmarks: missingLandmarks.length,
+      absentSections: absentSections.length
+    }
+  };
+}
+
+/**
+ * Compare the body text of each rendered section with its initial counterpart
+ * @param {Object} initial - Initial outline
+ * @param {Object} rendered - Rendered outline
+ * @param {Map} matchedText - Rendered heading to matched initial heading
+ * @returns {Array} Sections as {heading, selector, status, initialWords, renderedWords, missingWords, similarity}
+ */
+function compareSections(initial, rendered, matchedText) {
+  const initialBySelector = new Map(initial.sections.map(s => [s.selector, s]));
+  const renderedHeadings = new Map(rendered.headings.map(h => [h.selector, h]));
+
+  return rendered.sections.map(section => {
+    let counterpart;
+    if (section.selector === null) {
+      counterpart = initialBySelector.get(null);
+    } else {
+      const match = matchedText.get(renderedHeadings.get(section.selector));
+      counterpart = match ? initialBySelector.get(match.selector) : undefined;
+    }
+
+    const ctx = createTextContext(counterpart ? counterpart.text : '', section.text);
+    const missingWords = ctx.missingWords;
+    let status;
+    if (section.heading && !counterpart) status = 'missing';
+    else if (missingWords === 0) status = 'visible';
+    else if (ctx.initialTokens.length === 0) status = 'empty';
+    else status = 'partial';
+
+    return {
+      heading: section.heading,
+      selector: section.selector,
+      status,
+      initialWords: ctx.initialTokens.length,
+      renderedWords: ctx.finalTokens.length,
+      missingWords,
+      similarity: Math.round(ctx.similarity * 10) / 10
+    };
+  });
+}
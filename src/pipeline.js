@@ -0,0 +1,69 @@
+/**
+ * Analysis pipeline context
+ * Tokenizes each text once and caches diffs so every metric and report
+ * derived from the same pair of texts shares the same work
+ */
+
+import { tokenize } from './tokenizer.js';
+import { diffTokenArrays, buildDiffReport, similarityFromCounts } from './diff-engine.js';
+
+/**
+ * Create a lazily evaluated analysis context for a pair of extracted texts
+ * @param {string} initialText - Text extracted from the initial HTML
+ * @param {string} finalText - Text extracted from the rendered HTML
+ * @returns {Object} Context exposing cached tokens, diffs and similarity
+ */
+export function createTextContext(initialText, finalText) {
+  const cache = new Map();
+  const memo = (key, compute) => {
+    if (!cache.has(key)) cache.set(key, compute());
+    return cache.get(key);
+  };
+
+  const tokensFor = (mode) => memo(`tokens:${mode}`, () => ({
+    initial: tokenize(initialText, mode),
+    final: tokenize(finalText, mode)
+  }));
+
+  const diffFor = (mode) => memo(`diff:${mode}`, () => {
+    if (!initialText || !finalText) return buildDiffReport(null, mode);
+    const { initial, final } = tokensFor(mode);
+    return buildDiffReport(diffTokenArrays(initial, final), mode);
+  });
+
+  return {
+    initialText,
+    finalText,
+
+    get initialTokens() {
+      return tokensFor("word").initial;
+    },
+
+    get finalTokens() {
+      return tokensFor("word").final;
+    },
+
+    get wordDiff() {
+      return diffFor("word");
+    },
+
+    get lineDiff() {
+      return diffFor("line");
+    },
+
+    get missingWords() {
+      // Words present only in the rendered text, derived from the diff
+      if (!initialText) return tokensFor("word").final.length;
+      return diffFor("word").addCount;
+    },
+
+    get similarity() {
+      return memo("similarity", () => {
+        if (!initialText && !finalText) return 100;
+        if (!initialText || !finalText) return 0;
+        const { initial, final } = tokensFor("word");
+        return similarityFromCounts(diffFor("word").sameCount, initial.length, final.length);
+      });
+    }
+  };
+}
@@ -0,0 +1,244 @@
+/**
+ * Rule-based recommendation engine
+ * Each rule inspects the analysis context and, when triggered, yields a
+ * finding with a stable id, severity, message, evidence and fix hint
+ */
+
+/**
+ * Built-in rules, evaluated in order
+ *
+ * check(context, findings) returns the evidence object when the rule is
+ * triggered and null otherwise; findings holds the results of earlier rules.
+ * severity and message may be functions of (evidence, context); description
+ * is a fixed summary of what the rule reports (used as the SARIF rule text).
+ */
+export const recommendationRules = [
+  {
+    id: 'robots-blocked',
+    description: "Crawlers may not fetch or index the page",
+    severity: 'high',
+    check: ({ robots }) => {
+      const crawlers = robots ? robots.crawlers.filter(crawler => crawler.blocked) : [];
+      return crawlers.length > 0 ? { crawlers } : null;
+    },
+    message: ({ crawlers }) => {
+      const details = crawlers.map(crawler => `${crawler.name} (${crawler.reasons.map(reason => reason.detail).join('; ')})`).join(', ');
+      return `Blocked for ${details} - these crawlers cannot fetch or index the page, so they cannot cite it`;
+    },
+    fix: "Allow the crawlers in robots.txt and remove noindex from the X-Robots-Tag header and robots meta tags, unless blocking is intended"
+  },
+  {
+    id: 'robots-nosnippet',
+    description: "Snippets are disabled for some crawlers",
+    severity: 'medium',
+    check: ({ robots }) => {
+      const crawlers = robots ? robots.crawlers.filter(crawler => crawler.indexable && !crawler.snippetable) : [];
+      return crawlers.length > 0 ? { crawlers } : null;
+    },
+    message: ({ crawlers }) => `Snippets are disabled for ${crawlers.map(crawler => crawler.name).join(', ')} (nosnippet) - AI answers may not quote the page`,
+    fix: "Remove nosnippet/max-snippet:0, or limit it to the passages that must not be quoted with data-nosnippet"
+  },
+  {
+    id: 'low-citation-readability',
+    description: "Most of the content is missing from the initial HTML",
+    severity: 'high',
+    check: ({ metrics }) => metrics.citationReadability < 50
+      ? { citationReadability: metrics.citationReadability }
+      : null,
+    message: "Consider implementing server-side rendering (SSR) to improve content visibility for AI crawlers",
+    fix: "Render the primary content on the server (SSR or static generation) instead of fetching it in the browser"
+  },
+  {
+    id: 'js-content-gain',
+    description: "Significant content is loaded via JavaScript",
+    severity: 'medium',
+    check: ({ metrics }) => metrics.contentGain > 3
+      ? { contentGain: metrics.contentGain, wordCount: metrics.wordCount }
+      : null,
+    message: "Significant content is loaded via JavaScript - ensure critical content is present in initial HTML",
+    fix: "Move critical content into the initial HTML response and hydrate interactive parts on top of it"
+  },
+  {
+    id: 'missing-content',
+    description: "Large passages are missing from the initial HTML",
+    severity: 'medium',
+    check: (context) => context.metrics.missingWords > 1000
+      ? { missingWords: context.metrics.missingWords, passages: getTopPassages(context) }
+      : null,
+    message: "Large amount of content is missing from initial HTML - review your content loading strategy",
+    fix: "Review the listed passages and render them server-side or inline them in the initial HTML"
+  },
+  {
+    id: 'structured-data-js-only',
+    description: "Structured data types are only added by JavaScript",
+    severity: 'medium',
+    check: ({ structuredData }) => structuredData && structuredData.typesOnlyRendered.length > 0
+      ? { types: structuredData.typesOnlyRendered }
+      : null,
+    message: ({ types }) => `Structured data (${types.join(', ')}) is only added by JavaScript - include it in the initial HTML so AI crawlers can read it`,
+    fix: "Emit JSON-LD, microdata or RDFa from the server"
+  },
+  {
+    id: 'structured-data-properties-js-only',
+    description: "Structured data properties are only added by JavaScript",
+    severity: 'low',
+    check: ({ structuredData }) => structuredData && Object.keys(structuredData.propertiesOnlyRendered).length > 0
+      ? { properties: structuredData.propertiesOnlyRendered }
+      : null,
+    message: ({ properties }) => {
+      const details = Object.entries(properties).map(([type, props]) => `${type}: ${props.join(', ')}`).join('; ');
+      return `Some structured data properties only appear after JavaScript runs (${details}) - render them server-side`;
+    },
+    fix: "Include every structured data property in the server-rendered markup"
+  },
+  metadataRule('metadata-canonical', 'canonical', "Canonical URL is missing or changed in the initial HTML", "Set link[rel=canonical] in the initial HTML"),
+  metadataRule('metadata-robots', 'robots', "Robots meta tag is missing or changed in the initial HTML", "Set meta[name=robots] in the initial HTML, or use the X-Robots-Tag header"),
+  metadataRule('metadata-title', 'title', "Title is missing or changed in the initial HTML", "Render the final <title> on the server"),
+  metadataRule('metadata-description', 'description', "Meta description is missing or changed in the initial HTML", "Render meta[name=description] on the server"),
+  metadataRule('metadata-open-graph', 'openGraph', "Open Graph tags are missing or changed in the initial HTML", "Render og:* meta tags on the server"),
+  {
+    id: 'well-optimized',
+    description: "Content is well-optimized for AI visibility",
+    severity: 'info',
+    check: ({ metrics }, findings) =>
+      metrics.citationReadability >= 80 && metrics.contentGain < 1.5 && findings.length === 0
+        ? { citationReadability: metrics.citationReadability, contentGain: metrics.contentGain }
+        : null,
+    message: "Great job! Your content is well-optimized for AI visibility and citations",
+    fix: null
+  }
+];
+
+// Built-in rules as shipped, restored by resetRecommendationRules
+const builtInRules = [...recommendationRules];
+const disabledRules = new Set();
+let customRules = false;
+
+/**
+ * Register a rule, or override an existing rule with the same id
+ *
+ * Overrides are merged into the existing rule, so { id, severity } only
+ * changes the severity. New rules are evaluated after the built-in ones.
+ *
+ * @param {Object} rule - { id, severity, check, message, fix, description }
+ */
+export function registerRecommendationRule(rule) {
+  const index = recommendationRules.findIndex(existing => existing.id === rule.id);
+  if (index >= 0) {
+    recommendationRules[index] = { ...recommendationRules[index], ...rule };
+    customRules = true;
+    return;
+  }
+  if (typeof rule.check !== 'function') {
+    throw new Error(`Recommendation rule ${rule.id} needs a check function`);
+  }
+  recommendationRules.push(rule);
+  customRules = true;
+}
+
+/**
+ * Disable a rule globally
+ * @param {string} id - Rule id
+ */
+export function disableRecommendationRule(id) {
+  disabledRules.add(id);
+}
+
+/**
+ * Re-enable a rule disabled with disableRecommendationRule
+ * @param {string} id - Rule id
+ */
+export function enableRecommendationRule(id) {
+  disabledRules.delete(id);
+}
+
+/**
+ * Restore the built-in rules: drops registered rules and overrides and
+ * re-enables every disabled rule
+ */
+export function resetRecommendationRules() {
+  recommendationRules.splice(0, recommendationRules.length, ...builtInRules);
+  disabledRules.clear();
+  customRules = false;
+}
+
+/**
+ * Whether registerRecommendationRule was called since the last reset; rule functions only exist
+ * in this thread, so batch workers cannot evaluate them
+ * @returns {boolean} True once a rule was registered or overridden
+ */
+export function hasCustomRecommendationRules() {
+  return customRules;
+}
+
+/**
+ * Ids of the rules disabled with disableRecommendationRule
+ * @returns {string[]} Rule ids
+ */
+export function getDisabledRecommendationRules() {
+  return [...disabledRules];
+}
+
+/**
+ * Evaluate the enabled rules against an analysis context
+ * @param {Object} context - { metrics, structuredData, metadata, robots, missingContent, ... }
+ * @param {Object} [options={}] - Evaluation options
+ * @param {string[]} [options.disableRules=[]] - Rule ids to skip for this call
+ * @returns {Array} Findings as { id, severity, message, evidence, fix }
+ */
+export function evaluateRecommendations(context, options = {}) {
+  const { disableRules = [] } = options;
+  const findings = [];
+
+  recommendationRules
+    .filter(rule => !disabledRules.has(rule.id) && !disableRules.includes(rule.id))
+    .forEach(rule => {
+      const evidence = rule.check(context, findings);
+      if (!evidence) return;
+
+      const resolve = (value) => (typeof value === 'function' ? value(evidence, context) : value);
+      findings.push({
+        id: rule.id,
+        severity: resolve(rule.severity),
+        message: resolve(rule.message),
+        evidence,
+        fix: resolve(rule.fix) || null
+      });
+    });
+
+  return findings;
+}
+
+/**
+ * Build a rule reporting compareMetadata issues for one field
+ * @param {string} id - Rule id
+ * @param {string} field - Metadata issue field
+ * @param {string} description - What the rule reports, independent of the page
+ * @param {string} fix - Fix hint
+ * @returns {Object} Rule
+ */
+function metadataRule(id, field, description, fix) {
+  return {
+    id,
+    description,
+    severity: ({ issue }) => issue.severity,
+    check: ({ metadata }) => {
+      const issue = metadata ? metadata.issues.find(i => i.field === field) : null;
+      if (!issue) return null;
+      return { issue, fields: metadata.fields.filter(f => f.field === field || (field === 'openGraph' && f.field.startsWith('og:'))) };
+    },
+    message: ({ issue }) => issue.message,
+    fix
+  };
+}
+
+/**
+ * Largest missing passages, when the context can provide them
+ * @param {Object} context - Rule context
+ * @returns {Array} Up to five passages as { text, wordCount, selector }
+ */
+function getTopPassages(context) {
+  const report = context.missingContent;
+  if (!report) return [];
+  return report.passages.slice(0, 5).map(({ text, wordCount, selector }) => ({ text, wordCount, selector }));
+}
@@ -0,0 +1,180 @@
+/**
+ * Local rendering pipeline
+ * Executes a page's scripts in jsdom and returns the HTML after JavaScript
+ * ran, so one static HTML response yields both sides of the comparison
+ */
+
+import { readFile } from 'fs/promises';
+import { resolve, sep } from 'path';
+
+const POLL_INTERVAL = 25;
+
+/**
+ * Render HTML by running its scripts in jsdom
+ *
+ * Resolves once the load event fired and waitFor (if any) is satisfied.
+ * jsdom is an optional peer dependency, loaded on first use.
+ *
+ * @param {string} html - Initial HTML (what crawlers see)
+ * @param {Object} [options={}] - Rendering options
+ * @param {string} [options.baseUrl="about:blank"] - Document URL; relative script and resource URLs resolve against it
+ * @param {Object|Function} [options.resourceLoader] - jsdom ResourceLoader instance, or a function
+ *   (url, { element, referrer }) returning the resource body (string/Buffer), null to skip it, or a Promise of either.
+ *   Defaults to jsdom's loader, which fetches over the network
+ * @param {number} [options.timeout=5000] - Milliseconds before rendering fails
+ * @param {string|Function|number} [options.waitFor] - CSS selector that must match, predicate (window) => boolean
+ *   (may be async), or extra milliseconds to wait after load
+ * @param {string} [options.userAgent] - navigator.userAgent (and User-Agent header of the default loader)
+ * @returns {Promise<Object>} { html, url, errors } where errors lists script and loading errors
+ */
+export async function renderPage(html, options = {}) {
+  const { baseUrl, resourceLoader, timeout = 5000, waitFor, userAgent } = options;
+  const { JSDOM, VirtualConsole, ResourceLoader } = await loadJsdom();
+
+  const errors = [];
+  const virtualConsole = new VirtualConsole();
+  virtualConsole.on('jsdomError', error => errors.push(error.message));
+
+  const dom = new JSDOM(html, {
+    ...(baseUrl && { url: baseUrl }),
+    runScripts: 'dangerously',
+    resources: createJsdomLoader(ResourceLoader, resourceLoader, userAgent),
+    pretendToBeVisual: true,
+    virtualConsole
+  });
+
+  const state = { cancelled: false };
+  let timer;
+  try {
+    await Promise.race([
+      waitUntilReady(dom.window, waitFor, state),
+      new Promise((_, reject) => {
+        timer = setTimeout(() => {
+          state.cancelled = true;
+          reject(new Error(`Rendering timed out after ${timeout} ms${waitFor !== undefined ? ` waiting for ${describeWait(waitFor)}` : ''}`));
+        }, timeout);
+      })
+    ]);
+    return { html: dom.serialize(), url: dom.window.location.href, errors };
+  } finally {
+    clearTimeout(timer);
+    state.cancelled = true;
+    dom.window.close();
+  }
+}
+
+/**
+ * Resource loader serving files from a local directory, for tests and fixtures
+ *
+ * URLs under baseUrl map to files below rootDir; anything else (and paths
+ * escaping rootDir) is skipped.
+ *
+ * @param {string} rootDir - Directory holding the page's resources
+ * @param {string} baseUrl - URL that rootDir is served at
+ * @returns {Function} Loader for renderPage's resourceLoader option
+ */
+export function createFileResourceLoader(rootDir, baseUrl) {
+  const root = resolve(rootDir);
+  const base = new URL(baseUrl);
+  const basePath = base.pathname.replace(/[^/]*$/, '');
+
+  return async (url) => {
+    const target = new URL(url);
+    if (target.origin !== base.origin || !target.pathname.startsWith(basePath)) return null;
+
+    const file = resolve(root, decodeURIComponent(target.pathname.slice(basePath.length)));
+    if (file !== root && !file.startsWith(root + sep)) return null;
+
+    try {
+      return await readFile(file);
+    } catch (e) {
+      return null;
+    }
+  };
+}
+
+/**
+ * Build the jsdom resources option
+ * @param {Function} ResourceLoader - jsdom's ResourceLoader class
+ * @param {Object|Function} [loader] - Loader instance or function, see renderPage
+ * @param {string} [userAgent] - User agent string
+ * @returns {Object} ResourceLoader instance
+ */
+function createJsdomLoader(ResourceLoader, loader, userAgent) {
+  const loaderOptions = userAgent ? { userAgent } : {};
+  if (!loader) return new ResourceLoader(loaderOptions);
+  if (typeof loader !== 'function') return loader;
+
+  class FunctionResourceLoader extends ResourceLoader {
+    fetch(url, { element, referrer } = {}) {
+      const promise = Promise.resolve(loader(url, { element, referrer }))
+        .then(body => (body === null || body === undefined ? null : Buffer.from(body)));
+      // jsdom aborts pending requests when the window closes
+      promise.abort = () => {};
+      return promise;
+    }
+  }
+  return new FunctionResourceLoader(loaderOptions);
+}
+
+/**
+ * Wait for the load event, then for the waitFor condition
+ * @param {Object} window - jsdom window
+ * @param {string|Function|number} [waitFor] - Condition, see renderPage
+ * @param {Object} state - { cancelled } set when rendering timed out
+ * @returns {Promise<void>} Resolves when the page is ready
+ */
+async function waitUntilReady(window, waitFor, state) {
+  if (window.document.readyState !== 'complete') {
+    await new Promise(resolvePromise => window.addEventListener('load', resolvePromise, { once: true }));
+  }
+  // Let callbacks queued during load run
+  await sleep(0);
+
+  if (typeof waitFor === 'number') {
+    await sleep(waitFor);
+    return;
+  }
+  if (waitFor === undefined || waitFor === null) return;
+
+  const check = typeof waitFor === 'function'
+    ? () => waitFor(window)
+    : () => window.document.querySelector(waitFor) !== null;
+
+  while (!state.cancelled && !(await check())) {
+    await sleep(POLL_INTERVAL);
+  }
+}
+
+/**
+ * Describe a waitFor condition for error messages
+ * @param {string|Function|number} waitFor - Condition
+ * @returns {string} Description
+ */
+function describeWait(waitFor) {
+  if (typeof waitFor === 'string') return `"${waitFor}"`;
+  if (typeof waitFor === 'number') return `${waitFor} ms`;
+  return 'the waitFor predicate';
+}
+
+/**
+ * Promise-based setTimeout
+ * @param {number} ms - Milliseconds
+ * @returns {Promise<void>} Resolves after ms
+ */
+function sleep(ms) {
+  return new Promise(resolvePromise => setTimeout(resolvePromise, ms));
+}
+
+/**
+ * Import jsdom on demand
+ * @returns {Promise<Object>} jsdom exports
+ */
+async function loadJsdom() {
+  try {
+    const jsdom = await import('jsdom');
+    return jsdom.JSDOM ? jsdom : jsdom.default;
+  } catch (e) {
+    throw new Error('renderPage needs the optional "jsdom" package - install it with npm install jsdom');
+  }
+}
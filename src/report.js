@@ -0,0 +1,294 @@
+/**
+ * HTML report generator
+ * Renders a visibility analysis as a self-contained HTML document (inline
+ * styles, no scripts) that can be attached to tickets or shared with editors
+ */
+
+import { scoreAnalysis } from './scoring.js';
+import { evaluateRecommendations } from './recommendations.js';
+
+const CATEGORY_COLORS = {
+  excellent: '#0BA45D',
+  good: '#5DB41F',
+  fair: '#FFA213',
+  poor: '#FF513D'
+};
+
+const SEVERITY_COLORS = {
+  high: '#FF513D',
+  medium: '#FFA213',
+  low: '#3B63FB',
+  info: '#0BA45D'
+};
+
+const STYLES = `
+  body { font-family: Arial, sans-serif; max-width: 1200px; margin: 0 auto; padding: 20px; line-height: 1.6; color: #333; }
+  h1 { margin-bottom: 4px; }
+  .subtitle { color: #666; margin-top: 0; }
+  .summary { display: flex; gap: 24px; align-items: center; background: #f5f5f5; padding: 20px; border-radius: 8px; }
+  .gauge-label { font-size: 20px; font-weight: bold; }
+  .metrics { display: grid; grid-template-columns: repeat(auto-fit, minmax(180px, 1fr)); gap: 15px; margin-top: 20px; }
+  .metric { background: white; border: 1px solid #e5e5e5; padding: 15px; border-radius: 6px; text-align: center; }
+  .metric-value { font-size: 20px; font-weight: bold; }
+  .metric-label { font-size: 12px; color: #666; text-transform: uppercase; margin-top: 5px; }
+  section { margin-top: 32px; }
+  .finding { border-left: 4px solid #ccc; background: #fafafa; padding: 10px 15px; margin-bottom: 10px; border-radius: 4px; }
+  .severity { display: inline-block; color: white; font-size: 11px; font-weight: bold; text-transform: uppercase; padding: 1px 8px; border-radius: 10px; margin-right: 8px; }
+  .finding-id { font-family: monospace; font-size: 12px; color: #666; }
+  .fix { color: #555; font-size: 14px; margin-top: 4px; }
+  .passage { background: #E5F0FE; padding: 10px 15px; border-radius: 6px; margin-bottom: 10px; }
+  .passage-meta { font-size: 12px; color: #666; font-family: monospace; }
+  .diff { font-family: monospace; font-size: 13px; white-space: pre-wrap; word-break: break-word; background: white; border: 1px solid #e5e5e5; border-radius: 6px; padding: 15px; }
+  .side-by-side { display: grid; grid-template-columns: 1fr 1fr; gap: 15px; }
+  .side-by-side h3 { margin: 0 0 8px; font-size: 14px; color: #666; }
+  .diff-add { background: #d4f7dc; color: #0a5d2c; }
+  .diff-del { background: #ffe0dc; color: #8a1f11; text-decoration: line-through; }
+  details.diff-collapsed { display: inline; }
+  details.diff-collapsed summary { display: inline; cursor: pointer; color: #3B63FB; font-style: italic; list-style: none; }
+  details.diff-collapsed[open] summary { display: none; }
+  .empty { color: #666; font-style: italic; }
+`;
+
+/**
+ * Render a visibility analysis as a self-contained HTML report
+ * @param {Object} analysis - Result of analyzeVisibilityAsync or analyzeContentDifference
+ *   (the diff sections need wordDiff; the score is computed when visibilityScore is absent)
+ * @param {Object} [options={}] - Report options
+ * @param {string} [options.title="HTML Visibility Report"] - Report title
+ * @param {string} [options.url] - Page URL shown under the title
+ * @param {Object} [options.missingContent] - getMissingContent result; defaults to the added runs of wordDiff
+ * @param {Array} [options.findings] - Findings from getCitationReadiness; evaluated from the metrics when absent
+ * @param {number} [options.context=8] - Unchanged words kept around each change before collapsing
+ * @returns {string} Complete HTML document
+ * @throws {Error} When analysis has no metrics
+ */
+export function renderHtmlReport(analysis, options = {}) {
+  if (!analysis || !analysis.metrics) {
+    throw new Error('renderHtmlReport needs an analysis with metrics, e.g. the result of analyzeVisibilityAsync');
+  }
+  const { title = 'HTML Visibility Report', url = null, context = 8 } = options;
+  const visibilityScore = analysis.visibilityScore || scoreAnalysis(analysis, options);
+  const findings = options.findings || analysis.findings || evaluateRecommendations({
+    metrics: analysis.metrics,
+    structuredData: analysis.structuredData,
+    metadata: analysis.metadata
+  });
+  const diffOps = analysis.wordDiff ? analysis.wordDiff.diffOps : null;
+  const passages = options.missingContent
+    ? options.missingContent.passages
+    : (diffOps ? getAddedPassages(diffOps) : []);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+${url ? `<p class="subtitle">${escapeHtml(url)}</p>` : ''}
+<div class="summary">
+${renderGauge(visibilityScore)}
+<div>
+<div class="gauge-label" style="color: ${categoryColor(visibilityScore.category)}">${escapeHtml(visibilityScore.category)}</div>
+<div>${escapeHtml(visibilityScore.description)}</div>
+</div>
+</div>
+${renderMetrics(analysis.metrics)}
+<section>
+<h2>Recommendations</h2>
+${findings.length > 0 ? findings.map(renderFinding).join('\n') : '<p class="empty">No recommendations</p>'}
+</section>
+<section>
+<h2>Missing from initial HTML</h2>
+${passages.length > 0 ? passages.map(renderPassage).join('\n') : '<p class="empty">No missing content</p>'}
+</section>
+${diffOps ? renderDiffs(diffOps, context) : ''}
+</body>
+</html>
+`;
+}
+
+/**
+ * Circular score gauge
+ * @param {Object} visibilityScore - { score, category }
+ * @returns {string} Inline SVG
+ */
+function renderGauge({ score, category }) {
+  const radius = 52;
+  const circumference = 2 * Math.PI * radius;
+  const filled = (Math.max(0, Math.min(100, score)) / 100) * circumference;
+
+  return `<svg class="gauge" width="140" height="140" viewBox="0 0 140 140" role="img" aria-label="Score ${score} of 100">
+<circle cx="70" cy="70" r="${radius}" fill="none" stroke="#e5e5e5" stroke-width="14"/>
+<circle cx="70" cy="70" r="${radius}" fill="none" stroke="${categoryColor(category)}" stroke-width="14" stroke-linecap="round"
+  stroke-dasharray="${filled.toFixed(1)} ${circumference.toFixed(1)}" transform="rotate(-90 70 70)"/>
+<text x="70" y="80" text-anchor="middle" font-size="32" font-weight="bold" fill="#333">${score}</text>
+</svg>`;
+}
+
+/**
+ * Metric cards
+ * @param {Object} metrics - Analysis metrics
+ * @returns {string} HTML
+ */
+function renderMetrics(metrics) {
+  const cards = [
+    [`${metrics.citationReadability}%`, 'Citation Readability'],
+    [`${metrics.contentGain}x`, 'Content Gain'],
+    [metrics.missingWordsFormatted || metrics.missingWords, 'Missing Words'],
+    [`${metrics.similarity}%`, 'Content Similarity']
+  ];
+  if (metrics.wordCount) {
+    cards.push([metrics.wordCount.initial, 'Initial Words'], [metrics.wordCount.final, 'Rendered Words']);
+  }
+  if (metrics.hiddenWords) {
+    cards.push([metrics.hiddenWords.final, 'Hidden Words']);
+  }
+
+  return `<div class="metrics">
+${cards.map(([value, label]) => `<div class="metric"><div class="metric-value">${escapeHtml(String(value))}</div><div class="metric-label">${label}</div></div>`).join('\n')}
+</div>`;
+}
+
+/**
+ * Recommendation entry
+ * @param {Object|string} finding - Finding from the rule engine, or a plain recommendation string
+ * @returns {string} HTML
+ */
+function renderFinding(finding) {
+  if (typeof finding === 'string') {
+    return `<div class="finding">${escapeHtml(finding)}</div>`;
+  }
+  const color = SEVERITY_COLORS[finding.severity] || '#666';
+  return `<div class="finding" style="border-left-color: ${color}">
+<span class="severity" style="background: ${color}">${escapeHtml(finding.severity)}</span><span class="finding-id">${escapeHtml(finding.id)}</span>
+<div>${escapeHtml(finding.message)}</div>
+${finding.fix ? `<div class="fix">Fix: ${escapeHtml(finding.fix)}</div>` : ''}
+</div>`;
+}
+
+/**
+ * Missing passage entry
+ * @param {Object} passage - { text, wordCount, selector?, heading? }
+ * @returns {string} HTML
+ */
+function renderPassage(passage) {
+  const meta = [
+    `${passage.wordCount} words`,
+    passage.heading ? `under "${passage.heading.text}"` : null,
+    passage.selector || null
+  ].filter(Boolean).join(' · ');
+
+  return `<div class="passage">
+<div class="passage-meta">${escapeHtml(meta)}</div>
+<div>${escapeHtml(passage.text)}</div>
+</div>`;
+}
+
+/**
+ * Side-by-side and inline diff sections
+ * @param {Array} diffOps - Word diff operations
+ * @param {number} context - Unchanged words kept around changes
+ * @returns {string} HTML
+ */
+function renderDiffs(diffOps, context) {
+  const runs = groupRuns(diffOps);
+  const initialRuns = runs.filter(run => run.type !== 'add');
+  const renderedRuns = runs.filter(run => run.type !== 'del');
+
+  return `<section>
+<h2>Side-by-side diff</h2>
+<div class="side-by-side">
+<div><h3>Initial HTML (crawlers)</h3><div class="diff">${renderRuns(initialRuns, context)}</div></div>
+<div><h3>Rendered HTML (users)</h3><div class="diff">${renderRuns(renderedRuns, context)}</div></div>
+</div>
+</section>
+<section>
+<h2>Inline diff</h2>
+<div class="diff">${renderRuns(runs, context)}</div>
+</section>`;
+}
+
+/**
+ * Merge consecutive operations of the same type
+ * @param {Array} diffOps - Diff operations
+ * @returns {Array} Runs as { type, tokens }
+ */
+function groupRuns(diffOps) {
+  const runs = [];
+  diffOps.forEach(op => {
+    const last = runs[runs.length - 1];
+    if (last && last.type === op.type) last.tokens.push(op.text);
+    else runs.push({ type: op.type, tokens: [op.text] });
+  });
+  return runs;
+}
+
+/**
+ * Render runs, collapsing long unchanged stretches into <details> elements
+ * @param {Array} runs - Runs from groupRuns
+ * @param {number} context - Unchanged words kept next to each change
+ * @returns {string} HTML
+ */
+function renderRuns(runs, context) {
+  if (runs.length === 0) return '<span class="empty">No text</span>';
+
+  return runs.map((run, i) => {
+    const text = (tokens) => escapeHtml(tokens.join(' '));
+    if (run.type !== 'same') {
+      return `<span class="diff-${run.type}">${text(run.tokens)}</span>`;
+    }
+
+    // Keep context only on the sides that touch a change
+    const head = i > 0 ? context : 0;
+    const tail = i < runs.length - 1 ? context : 0;
+    if (run.tokens.length <= head + tail + 1) {
+      return `<span class="diff-same">${text(run.tokens)}</span>`;
+    }
+
+    const hidden = run.tokens.slice(head, run.tokens.length - tail);
+    return [
+      head > 0 ? `<span class="diff-same">${text(run.tokens.slice(0, head))}</span>` : '',
+      `<details class="diff-collapsed"><summary>… ${hidden.length} unchanged words …</summary><span class="diff-same">${text(hidden)}</span></details>`,
+      tail > 0 ? `<span class="diff-same">${text(run.tokens.slice(-tail))}</span>` : ''
+    ].filter(Boolean).join(' ');
+  }).join(' ');
+}
+
+/**
+ * Added runs of a word diff as missing passages, largest first
+ * @param {Array} diffOps - Diff operations
+ * @returns {Array} Passages as { text, wordCount }
+ */
+function getAddedPassages(diffOps) {
+  return groupRuns(diffOps)
+    .filter(run => run.type === 'add')
+    .map(run => ({ text: run.tokens.join(' '), wordCount: run.tokens.length }))
+    .sort((a, b) => b.wordCount - a.wordCount);
+}
+
+/**
+ * Color for a score category
+ * @param {string} category - Category name
+ * @returns {string} CSS color
+ */
+function categoryColor(category) {
+  return CATEGORY_COLORS[category] || '#666';
+}
+
+/**
+ * Escape HTML special characters
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
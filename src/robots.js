@@ -0,0 +1,265 @@
+/**
+ * Crawler access rules
+ * Parses robots.txt, X-Robots-Tag headers and robots meta tags and reports,
+ * per crawler, whether a page may be fetched, indexed and quoted in snippets.
+ * A page a crawler may not fetch or index cannot be cited, however visible
+ * its content is.
+ */
+
+import * as cheerio from 'cheerio';
+import { defaultCrawlerIds, resolveCrawlerProfile } from './crawlers.js';
+
+// Directives whose own value contains a colon (not a user-agent prefix)
+const VALUE_DIRECTIVES = new Set(['max-snippet', 'max-image-preview', 'max-video-preview', 'unavailable_after']);
+
+/**
+ * Parse robots.txt
+ * @param {string} text - robots.txt content
+ * @returns {Object} { groups, sitemaps }
+ *   - groups: {userAgents, rules: [{type: allow|disallow, path}], crawlDelay} with lowercase user agents
+ */
+export function parseRobotsTxt(text) {
+  const groups = [];
+  const sitemaps = [];
+  let group = null;
+  let inUserAgents = false;
+
+  String(text || '').split(/\r\n|\r|\n/).forEach(rawLine => {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+    if (separator < 0) return;
+
+    const field = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (field === 'user-agent') {
+      // Consecutive user-agent lines share one group
+      if (!inUserAgents) {
+        group = { userAgents: [], rules: [], crawlDelay: null };
+        groups.push(group);
+      }
+      group.userAgents.push(value.toLowerCase());
+      inUserAgents = true;
+      return;
+    }
+
+    inUserAgents = false;
+    if (field === 'sitemap') {
+      sitemaps.push(value);
+    } else if (!group) {
+      return;
+    } else if (field === 'allow' || field === 'disallow') {
+      // An empty disallow allows everything
+      if (value) group.rules.push({ type: field, path: value });
+    } else if (field === 'crawl-delay') {
+      const delay = Number(value);
+      if (Number.isFinite(delay)) group.crawlDelay = delay;
+    }
+  });
+
+  return { groups, sitemaps };
+}
+
+/**
+ * Decide whether robots.txt lets a crawler fetch a path
+ *
+ * The group with the longest user agent that prefixes the crawler's token
+ * applies (falling back to "*"); within it the longest matching rule wins
+ * and allow wins ties. "*" matches any characters and a trailing "$"
+ * anchors the end of the path.
+ *
+ * @param {Object|string} robots - Parsed robots.txt or its text
+ * @param {string} token - Crawler token, e.g. "GPTBot"
+ * @param {string} [path="/"] - URL path with query string
+ * @returns {Object} { allowed, rule, userAgent, crawlDelay } where rule is the deciding rule or null
+ */
+export function matchRobotsTxt(robots, token, path = '/') {
+  const { groups } = typeof robots === 'string' ? parseRobotsTxt(robots) : robots;
+  const agent = token.toLowerCase();
+
+  const userAgents = groups.flatMap(group => group.userAgents);
+  const specific = userAgents
+    .filter(ua => ua !== '*' && agent.startsWith(ua))
+    .sort((a, b) => b.length - a.length)[0];
+  const userAgent = specific || (userAgents.includes('*') ? '*' : null);
+
+  if (userAgent === null) return { allowed: true, rule: null, userAgent: null, crawlDelay: null };
+
+  const matching = groups.filter(group => group.userAgents.includes(userAgent));
+  const rules = matching.flatMap(group => group.rules);
+  const crawlDelay = matching.map(group => group.crawlDelay).find(delay => delay !== null) ?? null;
+
+  if (path === '/robots.txt') return { allowed: true, rule: null, userAgent, crawlDelay };
+
+  let rule = null;
+  rules.forEach(candidate => {
+    if (!patternToRegExp(candidate.path).test(path)) return;
+    if (!rule || candidate.path.length > rule.path.length ||
+        (candidate.path.length === rule.path.length && candidate.type === 'allow')) {
+      rule = candidate;
+    }
+  });
+
+  return { allowed: !rule || rule.type === 'allow', rule, userAgent, crawlDelay };
+}
+
+/**
+ * Parse robots directives from an X-Robots-Tag header or meta content
+ * @param {string} value - e.g. "noindex, nofollow" or "googlebot: noindex, otherbot: nosnippet"
+ * @returns {Object} Lowercase directives by lowercase user agent ("*" when unprefixed)
+ */
+export function parseRobotsDirectives(value) {
+  const directives = {};
+  let userAgent = '*';
+
+  String(value || '').split(',').forEach(part => {
+    let directive = part.trim().toLowerCase();
+    const prefix = directive.match(/^([a-z0-9_.-]+)\s*:\s*(.*)$/);
+    if (prefix && !VALUE_DIRECTIVES.has(prefix[1])) {
+      userAgent = prefix[1];
+      directive = prefix[2].trim();
+    }
+    if (!directive) return;
+    (directives[userAgent] = directives[userAgent] || []).push(directive.replace(/\s*:\s*/, ':'));
+  });
+
+  return directives;
+}
+
+/**
+ * Report what each crawler may do with a page
+ *
+ * Meta tags come from the initial HTML, plus the rendered HTML for crawlers
+ * that run JavaScript. Without robotsTxt every path is fetchable.
+ *
+ * @param {Object} page - What is known about the page
+ * @param {string} [page.url] - Page URL (its path is matched against robots.txt)
+ * @param {string|Object} [page.robotsTxt] - robots.txt text or parseRobotsTxt result
+ * @param {Object} [page.headers] - Response headers (x-robots-tag is read case-insensitively)
+ * @param {string} [page.initialHtml] - HTML as crawlers see it
+ * @param {string} [page.renderedHtml] - HTML after JavaScript ran
+ * @param {Object} [options={}] - Options
+ * @param {Array} [options.crawlers] - Crawler profile ids or definitions (default: every AI/search crawler profile)
+ * @returns {Object} { crawlers, blocked } where blocked lists the ids that may not fetch or index the page
+ *   - crawlers: {id, name, token, fetchable, indexable, snippetable, blocked, crawlDelay, reasons}
+ *   - reasons: {source: robots.txt|x-robots-tag|meta, directive, detail}
+ */
+export function checkCrawlerAccess(page, options = {}) {
+  const { url, robotsTxt, headers = {}, initialHtml, renderedHtml } = page;
+  const crawlers = (options.crawlers || defaultCrawlerIds()).map(crawler => resolveCrawlerProfile(crawler));
+
+  const robots = robotsTxt === undefined || robotsTxt === null
+    ? null
+    : (typeof robotsTxt === 'string' ? parseRobotsTxt(robotsTxt) : robotsTxt);
+  const path = getPath(url);
+  const headerValue = Object.entries(headers)
+    .filter(([name]) => name.toLowerCase() === 'x-robots-tag')
+    .map(([, value]) => (Array.isArray(value) ? value.join(', ') : value))
+    .join(', ');
+  const headerDirectives = parseRobotsDirectives(headerValue);
+  const metaNames = new Set(['robots', ...crawlers.map(crawler => crawler.token.toLowerCase())]);
+  const initialMeta = extractRobotsMeta(initialHtml, metaNames);
+  const renderedMeta = extractRobotsMeta(renderedHtml, metaNames);
+
+  const reports = crawlers.map(crawler => {
+    const agent = crawler.token.toLowerCase();
+    const reasons = [];
+
+    let fetchable = true;
+    let crawlDelay = null;
+    if (robots) {
+      const match = matchRobotsTxt(robots, crawler.token, path);
+      fetchable = match.allowed;
+      crawlDelay = match.crawlDelay;
+      if (!match.allowed) {
+        reasons.push({
+          source: 'robots.txt',
+          directive: 'disallow',
+          detail: `Disallow: ${match.rule.path} (User-agent: ${match.userAgent})`
+        });
+      }
+    }
+
+    const directives = [];
+    const collect = (source, byAgent) => {
+      [...(byAgent['*'] || []), ...(agent !== '*' ? byAgent[agent] || [] : [])]
+        .forEach(directive => directives.push({ source, directive }));
+    };
+    collect('x-robots-tag', headerDirectives);
+    collect('meta', initialMeta);
+    if (crawler.rendersJavaScript) collect('meta', renderedMeta);
+
+    const noindex = directives.filter(({ directive }) => directive === 'noindex' || directive === 'none');
+    const nosnippet = directives.filter(({ directive }) => directive === 'nosnippet' || directive === 'max-snippet:0');
+    [...noindex, ...nosnippet].forEach(({ source, directive }) => {
+      if (!reasons.some(r => r.source === source && r.directive === directive)) {
+        reasons.push({ source, directive, detail: `${source === 'meta' ? 'meta robots' : 'X-Robots-Tag'}: ${directive}` });
+      }
+    });
+
+    // Rules for pages a crawler may not fetch are never read
+    const indexable = fetchable && noindex.length === 0;
+    return {
+      id: crawler.id,
+      name: crawler.name,
+      token: crawler.token,
+      fetchable,
+      indexable,
+      snippetable: indexable && nosnippet.length === 0,
+      blocked: !indexable,
+      crawlDelay,
+      reasons
+    };
+  });
+
+  return { crawlers: reports, blocked: reports.filter(report => report.blocked).map(report => report.id) };
+}
+
+/**
+ * Collect robots meta directives (meta[name=robots] and crawler-specific names like googlebot)
+ * @param {string} [html] - HTML content
+ * @param {Set} names - Lowercase meta names to read
+ * @returns {Object} Directives by lowercase meta name, "robots" stored as "*"
+ */
+function extractRobotsMeta(html, names) {
+  const directives = {};
+  if (!html) return directives;
+
+  const $ = cheerio.load(html);
+  $('meta[name][content]').each((i, el) => {
+    const name = $(el).attr('name').trim().toLowerCase();
+    if (!names.has(name)) return;
+    const agent = name === 'robots' ? '*' : name;
+    directives[agent] = [...(directives[agent] || []), ...(parseRobotsDirectives($(el).attr('content'))['*'] || [])];
+  });
+  return directives;
+}
+
+/**
+ * Path and query of a URL for robots.txt matching
+ * @param {string} [url] - Page URL
+ * @returns {string} Path (default "/")
+ */
+function getPath(url) {
+  if (!url) return '/';
+  try {
+    const parsed = new URL(url);
+    return `${parsed.pathname}${parsed.search}`;
+  } catch (e) {
+    return url.startsWith('/') ? url : '/';
+  }
+}
+
+/**
+ * Convert a robots.txt path pattern to a regular expression
+ * @param {string} pattern - Pattern with * wildcards and optional trailing $
+ * @returns {RegExp} Expression anchored at the start of the path
+ */
+function patternToRegExp(pattern) {
+  const anchored = pattern.endsWith('$');
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
@@ -0,0 +1,235 @@
+/**
+ * Visibility scoring model
+ * Scoring profiles combine named metrics (each normalized to 0-100) with
+ * weights, category thresholds and labels. Profiles and metrics can be
+ * registered by name or passed inline.
+ */
+
+/**
+ * Built-in scoring metrics
+ * Each receives the analysis and the scoring options and returns 0-100
+ */
+export const scoringMetrics = {
+  // Section-weighted when the analysis has per-section results
+  citationReadability: (analysis, options) => {
+    const sectionReadability = analysis.sections
+      ? getWeightedSectionReadability(analysis.sections, options.sectionWeights)
+      : null;
+    return sectionReadability !== null ? sectionReadability : analysis.metrics.citationReadability;
+  },
+  similarity: (analysis) => analysis.metrics.similarity,
+  // Higher gain = lower score for visibility
+  contentGain: (analysis) => Math.min(100, Math.max(0, 100 - ((analysis.metrics.contentGain - 1) * 50)))
+};
+
+/**
+ * Named scoring profiles
+ * thresholds map each category to the minimum score it requires; a score
+ * below every threshold falls into the lowest category. Profiles other than
+ * "default" only list what differs from the profile they extend.
+ */
+export const scoringProfiles = {
+  default: {
+    weights: { citationReadability: 0.5, similarity: 0.3, contentGain: 0.2 },
+    thresholds: { excellent: 90, good: 70, fair: 50, poor: 0 },
+    labels: {
+      excellent: "Excellent - AI models can easily read and cite your content",
+      good: "Good - Most of your content is visible to AI models",
+      fair: "Fair - Some content may be missed by AI crawlers",
+      poor: "Poor - Significant content is hidden from AI models"
+    }
+  },
+  // Text-heavy pages where citable prose matters most
+  editorial: {
+    weights: { citationReadability: 0.7, similarity: 0.2, contentGain: 0.1 }
+  },
+  strict: {
+    thresholds: { excellent: 95, good: 80, fair: 60, poor: 0 }
+  }
+};
+
+let customMetrics = false;
+
+/**
+ * Register a named scoring profile
+ * @param {string} name - Profile name
+ * @param {Object} profile - Profile definition, see resolveScoringProfile
+ */
+export function registerScoringProfile(name, profile) {
+  scoringProfiles[name] = profile;
+}
+
+/**
+ * Register a named scoring metric
+ * @param {string} name - Metric name used as a key in profile weights
+ * @param {Function} metric - (analysis, options) => score between 0 and 100
+ */
+export function registerScoringMetric(name, metric) {
+  scoringMetrics[name] = metric;
+  customMetrics = true;
+}
+
+/**
+ * Whether registerScoringMetric was called; registered functions only exist
+ * in this thread, so batch workers cannot score with them
+ * @returns {boolean} True once a metric was registered
+ */
+export function hasCustomScoringMetrics() {
+  return customMetrics;
+}
+
+/**
+ * Resolve a scoring profile name or definition to a complete profile
+ *
+ * Definitions extend a named profile ("default" unless `extends` is set).
+ * weights and thresholds replace the base values when given, so a profile
+ * lists every factor it scores and every category it uses; labels and
+ * metrics are merged.
+ *
+ * @param {string|Object} [profile="default"] - Profile name, or definition
+ *   { extends, weights, thresholds, labels, metrics }
+ * @returns {Object} { name, weights, thresholds, labels, metrics }
+ */
+export function resolveScoringProfile(profile = 'default') {
+  if (typeof profile === 'string') {
+    if (!Object.prototype.hasOwnProperty.call(scoringProfiles, profile)) {
+      throw new Error(`Unknown scoring profile: ${profile}`);
+    }
+    if (profile === 'default') {
+      return { name: 'default', metrics: {}, ...scoringProfiles.default };
+    }
+    return { ...resolveScoringProfile(scoringProfiles[profile]), name: profile };
+  }
+
+  const base = resolveScoringProfile(profile.extends || 'default');
+  const resolved = {
+    name: profile.name || 'custom',
+    weights: profile.weights || base.weights,
+    thresholds: profile.thresholds || base.thresholds,
+    labels: { ...base.labels, ...profile.labels },
+    metrics: { ...base.metrics, ...profile.metrics }
+  };
+
+  Object.keys(resolved.weights).forEach(metric => {
+    if (!resolved.metrics[metric] && !scoringMetrics[metric]) {
+      throw new Error(`Unknown scoring metric: ${metric}`);
+    }
+  });
+
+  return resolved;
+}
+
+/**
+ * Score an analysis with a scoring profile
+ *
+ * When analysis.robots (from checkCrawlerAccess) lists blocked crawlers, the
+ * score is capped so the page lands in the profile's lowest category.
+ *
+ * @param {Object} analysis - Analysis results (at least { metrics })
+ * @param {Object} [options={}] - Scoring options
+ * @param {string|Object} [options.scoringProfile="default"] - Profile name or definition
+ * @param {Function|Array} [options.sectionWeights] - Override the weights stored on the sections
+ * @returns {Object} { score, category, description, breakdown }
+ */
+export function scoreAnalysis(analysis, options = {}) {
+  const profile = resolveScoringProfile(options.scoringProfile);
+  const weights = Object.entries(profile.weights);
+  const totalWeight = weights.reduce((sum, [, weight]) => sum + weight, 0);
+
+  const factors = weights.map(([name, weight]) => {
+    const metric = profile.metrics[name] || scoringMetrics[name];
+    const value = Math.min(100, Math.max(0, Number(metric(analysis, options)) || 0));
+    const contribution = totalWeight > 0 ? (value * weight) / totalWeight : 0;
+    return { name, value, weight, contribution };
+  });
+
+  const weightedScore = factors.reduce((sum, factor) => sum + factor.contribution, 0);
+
+  // Late canonical/robots/title tags lower the score (see compareMetadata)
+  const metadataPenalty = analysis.metadata ? analysis.metadata.summary.penalty : 0;
+
+  let score = Math.max(0, Math.round(weightedScore) - metadataPenalty);
+
+  // Crawlers that may not fetch or index the page cannot cite it (see checkCrawlerAccess)
+  const robotsBlocked = analysis.robots ? analysis.robots.blocked : [];
+  if (robotsBlocked.length > 0) {
+    score = Math.min(score, getLowestCategoryCeiling(profile.thresholds));
+  }
+  const category = categorize(score, profile.thresholds);
+
+  return {
+    score,
+    category,
+    description: profile.labels[category] || category,
+    breakdown: {
+      ...Object.fromEntries(factors.map(factor => [factor.name, factor.value])),
+      ...(analysis.metadata && { metadataPenalty }),
+      ...(analysis.robots && { robotsBlocked }),
+      ...(analysis.sections && { pageCitationReadability: analysis.metrics.citationReadability }),
+      profile: profile.name,
+      factors: factors.map(factor => ({ ...factor, contribution: Math.round(factor.contribution * 10) / 10 }))
+    }
+  };
+}
+
+/**
+ * Resolve the weight of a section
+ *
+ * Weights are either a function receiving the section or an array of
+ * { match, weight } rules where match is a string (case-insensitive substring
+ * of the heading text) or a RegExp tested against the heading text. The first
+ * matching rule wins; unmatched sections weigh 1.
+ *
+ * @param {Object} section - Section from analyzeContentDifference(..., { sections: true })
+ * @param {Function|Array} [sectionWeights] - Weight function or rules
+ * @returns {number} Section weight
+ */
+export function getSectionWeight(section, sectionWeights) {
+  if (typeof sectionWeights === 'function') return sectionWeights(section);
+  if (!Array.isArray(sectionWeights)) return 1;
+
+  const heading = section.heading ? section.heading.text : '';
+  const rule = sectionWeights.find(({ match }) =>
+    match instanceof RegExp ? match.test(heading) : heading.toLowerCase().includes(String(match).toLowerCase())
+  );
+  return rule ? rule.weight : 1;
+}
+
+/**
+ * Pick the category for a score
+ * @param {number} score - Final score
+ * @param {Object} thresholds - Category to minimum score
+ * @returns {string} Highest category whose threshold the score reaches, else the lowest category
+ */
+function categorize(score, thresholds) {
+  const ordered = Object.entries(thresholds).sort((a, b) => b[1] - a[1]);
+  const match = ordered.find(([, min]) => score >= min);
+  return (match || ordered[ordered.length - 1])[0];
+}
+
+/**
+ * Highest score that still falls into the lowest category
+ * @param {Object} thresholds - Category to minimum score
+ * @returns {number} One below the second-lowest threshold (0 with a single category)
+ */
+function getLowestCategoryCeiling(thresholds) {
+  const ordered = Object.values(thresholds).sort((a, b) => a - b);
+  return ordered.length > 1 ? Math.max(0, ordered[1] - 1) : 0;
+}
+
+/**
+ * Average section readability weighted by rendered words and section weight
+ * @param {Array} sections - Sections from analyzeContentDifference
+ * @param {Function|Array} [sectionWeights] - Weights overriding section.weight
+ * @returns {number|null} Weighted readability, or null when no section has weight
+ */
+function getWeightedSectionReadability(sections, sectionWeights) {
+  let total = 0, weighted = 0;
+  sections.forEach(section => {
+    const weight = sectionWeights ? getSectionWeight(section, sectionWeights) : (section.weight ?? 1);
+    const share = section.finalWords * weight;
+    total += share;
+    weighted += section.citationReadability * share;
+  });
+  return total > 0 ? Math.round(weighted / total) : null;
+}
@@ -0,0 +1,299 @@
+/**
+ * Result serializers for CI pipelines
+ * Markdown (PR comments), JUnit XML (one testcase per page) and SARIF 2.1.0
+ * (one result per recommendation finding). Results are getCitationReadiness
+ * outputs, optionally with a name/id, url and the path of the rendered HTML,
+ * as produced by analyzeBatch and the CLI.
+ */
+
+import { recommendationRules } from './recommendations.js';
+
+const TOOL_NAME = 'html-visibility-analyzer';
+const TOOL_URI = 'https://github.com/adobe/html-visibility-analyzer';
+
+const SARIF_LEVELS = { high: 'error', medium: 'warning', low: 'note', info: 'none' };
+
+// Elements behind metadata findings, used as SARIF locations
+const METADATA_SELECTORS = {
+  'metadata-canonical': 'link[rel="canonical"]',
+  'metadata-robots': 'meta[name="robots"]',
+  'metadata-title': 'head > title',
+  'metadata-description': 'meta[name="description"]'
+};
+
+/**
+ * Serialize results as Markdown
+ * @param {Object|Array} results - One result or an array of results
+ * @param {Object} [options={}] - Output options
+ * @param {string} [options.title="HTML Visibility Report"] - Document heading
+ * @param {number} [options.failUnder] - Mark pages scoring below this as failing
+ * @param {boolean} [options.summary] - Include the summary table (default: more than one result)
+ * @returns {string} Markdown
+ */
+export function toMarkdown(results, options = {}) {
+  const pages = toArray(results);
+  const { title = 'HTML Visibility Report', failUnder = null, summary = pages.length > 1 } = options;
+  const lines = [`# ${title}`, ''];
+
+  if (summary) {
+    const analyzed = pages.filter(page => !page.error);
+    const average = analyzed.length > 0
+      ? Math.round(analyzed.reduce((sum, page) => sum + page.score, 0) / analyzed.length)
+      : 0;
+    const failing = failUnder === null ? null : analyzed.filter(page => page.score < failUnder).length;
+
+    lines.push(`**Pages:** ${pages.length} · **Average score:** ${average}${failing !== null ? ` · **Below ${failUnder}:** ${failing}` : ''}`, '');
+    lines.push('| Page | Score | Category | Citation readability | Missing words |');
+    lines.push('|------|------:|----------|---------------------:|--------------:|');
+    pages.forEach((page, i) => {
+      const name = escapeMarkdown(pageName(page, i));
+      lines.push(page.error
+        ? `| ${name} | – | error | – | – |`
+        : `| ${name} | ${page.score} | ${page.category} | ${page.metrics.citationReadability}% | ${page.metrics.missingWords} |`);
+    });
+    lines.push('');
+  }
+
+  pages.forEach((page, i) => {
+    const failed = failUnder !== null && !page.error && page.score < failUnder;
+    lines.push(`## ${escapeMarkdown(pageName(page, i))}${failed ? ' ❌' : ''}`, '');
+
+    if (page.error) {
+      lines.push(`**Error:** ${page.error}`, '');
+      return;
+    }
+
+    lines.push(`**Score:** ${page.score}/100 (${page.category}) - ${page.description}`, '');
+    lines.push(`- Citation readability: ${page.metrics.citationReadability}%`);
+    lines.push(`- Content gain: ${page.metrics.contentGain}x`);
+    lines.push(`- Missing words: ${page.metrics.missingWords}`);
+    lines.push(`- Similarity: ${page.metrics.similarity}%`);
+    if (page.wordDiff) lines.push(`- Word diff: ${page.wordDiff.summary}`);
+    lines.push('');
+
+    const findings = page.findings || [];
+    if (findings.length > 0) {
+      lines.push('### Recommendations', '');
+      findings.forEach(finding => lines.push(`- **${finding.severity}** \`${finding.id}\`: ${finding.message}`));
+      lines.push('');
+    }
+  });
+
+  return lines.join('\n').replace(/\n*$/, '\n');
+}
+
+/**
+ * Serialize results as JUnit XML, one testcase per page
+ * @param {Object|Array} results - One result or an array of results
+ * @param {Object} [options={}] - Output options
+ * @param {number} [options.threshold=50] - Pages scoring below this fail
+ * @param {string} [options.suiteName="html-visibility"] - Test suite name
+ * @returns {string} JUnit XML
+ */
+export function toJUnit(results, options = {}) {
+  const pages = toArray(results);
+  const { threshold = 50, suiteName = 'html-visibility' } = options;
+
+  let failures = 0, errors = 0;
+  const testcases = pages.map((page, i) => {
+    const name = escapeXml(pageName(page, i));
+    if (page.error) {
+      errors++;
+      return `    <testcase classname="${escapeXml(suiteName)}" name="${name}">
+      <error message="${escapeXml(page.error)}"/>
+    </testcase>`;
+    }
+
+    const findings = (page.findings || []).map(f => `[${f.severity}] ${f.id}: ${f.message}`).join('\n');
+    const output = `Score: ${page.score}/100 (${page.category})\n${findings}`.trim();
+    if (page.score < threshold) {
+      failures++;
+      return `    <testcase classname="${escapeXml(suiteName)}" name="${name}">
+      <failure message="${escapeXml(`Visibility score ${page.score} is below ${threshold}`)}" type="${escapeXml(page.category)}">${escapeXml(output)}</failure>
+    </testcase>`;
+    }
+    return `    <testcase classname="${escapeXml(suiteName)}" name="${name}">
+      <system-out>${escapeXml(output)}</system-out>
+    </testcase>`;
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<testsuites name="${escapeXml(suiteName)}" tests="${pages.length}" failures="${failures}" errors="${errors}">
+  <testsuite name="${escapeXml(suiteName)}" tests="${pages.length}" failures="${failures}" errors="${errors}">
+${testcases.join('\n')}
+  </testsuite>
+</testsuites>
+`;
+}
+
+/**
+ * Serialize recommendation findings as a SARIF 2.1.0 log
+ *
+ * Each finding becomes a result whose locations point at the rendered-HTML
+ * elements behind it (missing passages, metadata tags) through logical
+ * locations holding their CSS selectors. Info findings are omitted.
+ *
+ * @param {Object|Array} results - One result or an array of results
+ * @param {Object} [options={}] - Output options
+ * @param {boolean} [options.includeInfo=false] - Keep info findings (level "none")
+ * @returns {Object} SARIF log (JSON.stringify it to write a .sarif file)
+ */
+export function toSarif(results, options = {}) {
+  const { includeInfo = false } = options;
+  const pages = toArray(results);
+  const rules = new Map();
+  const sarifResults = [];
+
+  pages.forEach((page, i) => {
+    const artifactLocation = getArtifactLocation(page, i);
+
+    (page.findings || [])
+      .filter(finding => includeInfo || finding.severity !== 'info')
+      .forEach(finding => {
+        if (!rules.has(finding.id)) {
+          const level = getDefaultLevel(finding.id);
+          rules.set(finding.id, {
+            id: finding.id,
+            shortDescription: { text: describeRule(finding.id) },
+            ...(finding.fix && { help: { text: finding.fix } }),
+            ...(level && { defaultConfiguration: { level } })
+          });
+        }
+
+        const selectors = getFindingSelectors(finding);
+        const physicalLocation = { artifactLocation };
+        sarifResults.push({
+          ruleId: finding.id,
+          level: SARIF_LEVELS[finding.severity] || 'warning',
+          message: { text: finding.fix ? `${finding.message.replace(/[.!?]+$/, '')}. Fix: ${finding.fix}` : finding.message },
+          locations: selectors.length > 0
+            ? selectors.map(selector => ({
+              physicalLocation,
+              logicalLocations: [{ fullyQualifiedName: selector, kind: 'element' }]
+            }))
+            : [{ physicalLocation }],
+          properties: { score: page.score, category: page.category }
+        });
+      });
+  });
+
+  return {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: TOOL_NAME,
+          informationUri: TOOL_URI,
+          rules: [...rules.values()]
+        }
+      },
+      results: sarifResults
+    }]
+  };
+}
+
+/**
+ * Fixed SARIF description of a rule (finding messages contain page-specific details)
+ * @param {string} id - Rule id
+ * @returns {string} The rule's description, or its id in words for rules without one
+ */
+function describeRule(id) {
+  const rule = recommendationRules.find(candidate => candidate.id === id);
+  if (rule && rule.description) return rule.description;
+  const words = id.replace(/-/g, ' ');
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+/**
+ * Fixed SARIF level of a rule; rules whose severity depends on the finding have none
+ * @param {string} id - Rule id
+ * @returns {string|null} SARIF level, or null when the rule has no fixed severity
+ */
+function getDefaultLevel(id) {
+  const rule = recommendationRules.find(candidate => candidate.id === id);
+  return rule && typeof rule.severity === 'string' ? SARIF_LEVELS[rule.severity] || null : null;
+}
+
+/**
+ * SARIF artifact location of a result's page
+ *
+ * File paths become URIs: absolute paths as file:// URIs, relative paths
+ * relative to %SRCROOT% (the checkout root, for code-scanning uploads).
+ * Page URLs are used as they are.
+ *
+ * @param {Object} page - Result
+ * @param {number} index - Position in the input
+ * @returns {Object} { uri, uriBaseId }
+ */
+function getArtifactLocation(page, index) {
+  if (!page.rendered && page.url) return { uri: page.url };
+
+  // Windows separators and drive letters, e.g. C:\site\page.html
+  const path = (page.rendered || pageName(page, index)).replace(/\\/g, '/');
+  const uri = encodeURI(path).replace(/[?#]/g, encodeURIComponent);
+  if (path.startsWith('/')) return { uri: `file://${uri}` };
+  if (/^[A-Za-z]:\//.test(path)) return { uri: `file:///${uri}` };
+  return { uri, uriBaseId: '%SRCROOT%' };
+}
+
+/**
+ * CSS selectors of the rendered elements behind a finding
+ * @param {Object} finding - Finding from the rule engine
+ * @returns {string[]} Selectors (empty when the finding concerns the whole page)
+ */
+function getFindingSelectors(finding) {
+  const evidence = finding.evidence || {};
+  if (Array.isArray(evidence.passages)) {
+    return evidence.passages.map(passage => passage.selector).filter(Boolean);
+  }
+  if (METADATA_SELECTORS[finding.id]) {
+    return [METADATA_SELECTORS[finding.id]];
+  }
+  if (finding.id === 'metadata-open-graph' && Array.isArray(evidence.fields)) {
+    return evidence.fields.filter(f => f.status === 'onlyRendered').map(f => `meta[property="${f.field}"]`);
+  }
+  return [];
+}
+
+/**
+ * Display name of a result
+ * @param {Object} page - Result
+ * @param {number} index - Position in the input
+ * @returns {string} Name
+ */
+function pageName(page, index) {
+  return String(page.name ?? page.id ?? page.url ?? `page-${index + 1}`);
+}
+
+/**
+ * Wrap a single result in an array
+ * @param {Object|Array} results - Result(s)
+ * @returns {Array} Results
+ */
+function toArray(results) {
+  return Array.isArray(results) ? results : [results];
+}
+
+/**
+ * Escape characters that break Markdown tables and headings
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeMarkdown(text) {
+  return String(text).replace(/([|\\`*_[\]])/g, '\\$1');
+}
+
+/**
+ * Escape XML special characters
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
@@ -0,0 +1,371 @@
+/**
+ * DOM-structure-aware comparison
+ * Aligns the element trees of the initial and rendered documents and reports
+ * which elements were added, removed or changed by client-side rendering
+ */
+
+import { loadCheerioDocument } from './html-filter.js';
+import { countWords } from './tokenizer.js';
+import { diffTokenArrays } from './diff-engine.js';
+import { hashDJB2 } from './utils.js';
+import { isElement, getCssPath, getNodeText } from './dom-utils.js';
+
+const LANDMARK_TAGS = new Set(['main', 'article', 'section', 'aside', 'nav', 'header', 'footer', 'form']);
+const TEXT_PREVIEW_LENGTH = 120;
+// Gaps with more candidate pairs than this are paired by key order only (the alignment table is quadratic)
+const MAX_SIMILARITY_CELLS = 2500;
+// Sibling texts are compared through the smallest word hashes of each (bottom-k MinHash),
+// so a pair costs at most twice this many comparisons however long the texts are
+const SKETCH_SIZE = 32;
+
+/**
+ * Compare the element trees of two HTML documents
+ * @param {string} initialHtml - HTML as seen by crawlers/AI
+ * @param {string} renderedHtml - HTML as seen by users (fully loaded)
+ * @param {Object} [options={}] - Comparison options
+ * @param {boolean} [options.ignoreNavFooter=true] - Ignore navigation/footer elements
+ * @param {string|string[]} [options.excludeSelectors] - Other filter options, as in filterHtmlContent
+ * @returns {Object} Added, removed and changed elements with a summary
+ */
+export function compareStructure(initialHtml, renderedHtml, options = {}) {
+  const $init = loadCheerioDocument(initialHtml, options);
+  const $fin = loadCheerioDocument(renderedHtml, options);
+  const initRoot = $init('body')[0] || $init.root()[0];
+  const finRoot = $fin('body')[0] || $fin.root()[0];
+
+  const result = { added: [], removed: [], changed: [] };
+  const caches = { fingerprints: new Map(), sketches: new Map() };
+  compareNodes(initRoot, finRoot, result, caches);
+
+  return {
+    ...result,
+    summary: {
+      added: result.added.length,
+      removed: result.removed.length,
+      changed: result.changed.length,
+      addedByCategory: countCategories(result.added),
+      removedByCategory: countCategories(result.removed)
+    }
+  };
+}
+
+/**
+ * Classify an element by the kind of content it represents
+ * @param {Object} node - domhandler element node
+ * @returns {string} heading | table | list | faq | landmark | block
+ */
+export function getElementCategory(node) {
+  const name = node.name;
+  const attribs = node.attribs || {};
+
+  if (/^h[1-6]$/.test(name)) return 'heading';
+  if (name === 'table') return 'table';
+  if (name === 'ul' || name === 'ol' || name === 'dl') return 'list';
+  if (name === 'details' || /faq/i.test(`${attribs.id || ''} ${attribs.class || ''} ${attribs.itemtype || ''}`)) {
+    return 'faq';
+  }
+  if (LANDMARK_TAGS.has(name) || attribs.role) return 'landmark';
+  return 'block';
+}
+
+/**
+ * Compare two matched elements, recursing into their children
+ * @param {Object} initNode - Element from the initial document
+ * @param {Object} finNode - Matching element from the rendered document
+ * @param {Object} result - Accumulator for added/removed/changed entries
+ * @param {Object} caches - { fingerprints, sketches } caches keyed by node, shared by the whole comparison
+ */
+function compareNodes(initNode, finNode, result, caches) {
+  const { fingerprints } = caches;
+  if (fingerprint(initNode, fingerprints) === fingerprint(finNode, fingerprints)) return;
+
+  const initText = directText(initNode);
+  const finText = directText(finNode);
+  if (initText !== finText) {
+    result.changed.push({
+      tag: finNode.name,
+      category: getElementCategory(finNode),
+      selector: getCssPath(finNode),
+      initialSelector: getCssPath(initNode),
+      initialText: preview(initText),
+      finalText: preview(finText)
+    });
+  }
+
+  const initChildren = (initNode.children || []).filter(isElement);
+  const finChildren = (finNode.children || []).filter(isElement);
+
+  // First pass: anchor children whose whole subtree is unchanged
+  const exact = alignByKey(
+    initChildren.map(n => `${structuralKey(n)}|${fingerprint(n, fingerprints)}`),
+    finChildren.map(n => `${structuralKey(n)}|${fingerprint(n, fingerprints)}`)
+  );
+
+  // Second pass: within each gap between anchors, pair elements by tag, id and role,
+  // preferring the pairing whose texts are most alike when several pair as many elements
+  let prevI = 0, prevJ = 0;
+  [...exact, [initChildren.length, finChildren.length]].forEach(([anchorI, anchorJ]) => {
+    const gapInit = initChildren.slice(prevI, anchorI);
+    const gapFin = finChildren.slice(prevJ, anchorJ);
+    const pairs = alignSiblings(gapInit, gapFin, caches);
+    const pairedInit = new Set(pairs.map(([i]) => i));
+    const pairedFin = new Set(pairs.map(([, j]) => j));
+
+    pairs.forEach(([i, j]) => compareNodes(gapInit[i], gapFin[j], result, caches));
+    gapInit.forEach((node, i) => {
+      if (!pairedInit.has(i)) result.removed.push(describeElement(node));
+    });
+    gapFin.forEach((node, j) => {
+      if (!pairedFin.has(j)) result.added.push(describeElement(node));
+    });
+
+    prevI = anchorI + 1;
+    prevJ = anchorJ + 1;
+  });
+}
+
+/**
+ * Align two key sequences, returning the index pairs of matched keys
+ * @param {string[]} keysA - Keys of the first sequence
+ * @param {string[]} keysB - Keys of the second sequence
+ * @returns {Array} Pairs of [indexA, indexB]
+ */
+function alignByKey(keysA, keysB) {
+  const pairs = [];
+  let i = 0, j = 0;
+
+  diffTokenArrays(keysA, keysB).forEach(op => {
+    if (op.type === "same") {
+      pairs.push([i, j]);
+      i++; j++;
+    } else if (op.type === "del") {
+      i++;
+    } else {
+      j++;
+    }
+  });
+
+  return pairs;
+}
+
+/**
+ * Pair sibling elements with the same structural key, in order
+ *
+ * Maximizes the number of pairs like alignByKey; among alignments with as
+ * many pairs, the one with the highest total word overlap (estimated Jaccard
+ * index) wins, so an edited element pairs with its counterpart rather than
+ * with whatever element sits at its position.
+ *
+ * @param {Array} nodesA - Elements of the first sequence
+ * @param {Array} nodesB - Elements of the second sequence
+ * @param {Object} caches - Comparison caches, see compareNodes
+ * @returns {Array} Pairs of [indexA, indexB]
+ */
+function alignSiblings(nodesA, nodesB, caches) {
+  const keysA = nodesA.map(structuralKey);
+  const keysB = nodesB.map(structuralKey);
+  if (nodesA.length * nodesB.length > MAX_SIMILARITY_CELLS) return alignByKey(keysA, keysB);
+
+  const sketchesA = nodesA.map(node => sketch(node, caches.sketches));
+  const sketchesB = nodesB.map(node => sketch(node, caches.sketches));
+  const n = nodesA.length;
+  const m = nodesB.length;
+
+  // best[i][j]: { count, similarity } of the best alignment of nodesA[i..] and nodesB[j..]
+  const best = Array.from({ length: n + 1 }, () => Array(m + 1).fill(null));
+  const better = (a, b) => a.count > b.count || (a.count === b.count && a.similarity > b.similarity);
+  for (let i = n; i >= 0; i--) {
+    for (let j = m; j >= 0; j--) {
+      if (i === n || j === m) {
+        best[i][j] = { count: 0, similarity: 0, pair: false };
+        continue;
+      }
+      let choice = better(best[i + 1][j], best[i][j + 1])
+        ? { ...best[i + 1][j], pair: false, skip: 'a' }
+        : { ...best[i][j + 1], pair: false, skip: 'b' };
+      if (keysA[i] === keysB[j]) {
+        const next = best[i + 1][j + 1];
+        const paired = {
+          count: next.count + 1,
+          similarity: next.similarity + estimateJaccard(sketchesA[i], sketchesB[j]),
+          pair: true
+        };
+        if (!better(choice, paired)) choice = paired;
+      }
+      best[i][j] = choice;
+    }
+  }
+
+  const pairs = [];
+  let i = 0, j = 0;
+  while (i < n && j < m) {
+    const cell = best[i][j];
+    if (cell.pair) {
+      pairs.push([i, j]);
+      i++; j++;
+    } else if (cell.skip === 'a') {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  return pairs;
+}
+
+/**
+ * Key used to pair elements: tag name, id and landmark role
+ * @param {Object} node - domhandler element node
+ * @returns {string} Structural key
+ */
+function structuralKey(node) {
+  const attribs = node.attribs || {};
+  return `${node.name}#${attribs.id || ''}@${attribs.role || ''}`;
+}
+
+/**
+ * Subtree fingerprint built from DJB2 hashes of the structure and text
+ * @param {Object} node - domhandler node
+ * @param {Map} cache - Fingerprint cache keyed by node
+ * @returns {string} Fingerprint hash
+ */
+function fingerprint(node, cache) {
+  if (cache.has(node)) return cache.get(node);
+
+  const parts = (node.children || []).map(child => {
+    if (child.type === 'text') return child.data.replace(/\s+/g, ' ').trim();
+    if (isElement(child)) return fingerprint(child, cache);
+    return '';
+  }).filter(Boolean);
+
+  const hash = hashDJB2(`${structuralKey(node)}(${parts.join(',')})`);
+  cache.set(node, hash);
+  return hash;
+}
+
+/**
+ * Bottom-k MinHash sketch of a subtree's words: the SKETCH_SIZE smallest
+ * distinct word hashes, built from the children's sketches so every text
+ * node is hashed once per comparison
+ * @param {Object} node - domhandler node
+ * @param {Map} cache - Sketch cache keyed by node
+ * @returns {number[]} Ascending word hashes
+ */
+function sketch(node, cache) {
+  if (cache.has(node)) return cache.get(node);
+
+  let result = [];
+  const ownWords = [];
+  (node.children || []).forEach(child => {
+    if (child.type === 'text') {
+      child.data.toLowerCase().split(/\s+/).forEach(word => {
+        if (word) ownWords.push(parseInt(hashDJB2(word), 16));
+      });
+    } else if (child.children) {
+      result = mergeSketches(result, sketch(child, cache)).union;
+    }
+  });
+  result = mergeSketches(result, ownWords.sort((a, b) => a - b)).union;
+
+  cache.set(node, result);
+  return result;
+}
+
+/**
+ * Merge two ascending hash lists into the sketch of their union
+ * @param {number[]} a - Ascending hashes
+ * @param {number[]} b - Ascending hashes
+ * @returns {Object} { union, shared } - union keeps the SKETCH_SIZE smallest distinct hashes;
+ *   shared counts the union's hashes found in both lists
+ */
+function mergeSketches(a, b) {
+  const union = [];
+  let shared = 0;
+  let i = 0, j = 0;
+  while (union.length < SKETCH_SIZE && (i < a.length || j < b.length)) {
+    const next = j >= b.length || (i < a.length && a[i] < b[j]) ? a[i] : b[j];
+    if (i < a.length && j < b.length && a[i] === b[j]) shared++;
+    while (i < a.length && a[i] === next) i++;
+    while (j < b.length && b[j] === next) j++;
+    union.push(next);
+  }
+  return { union, shared };
+}
+
+/**
+ * Estimate the Jaccard index of two word sets from their sketches
+ * (exact when both sets have at most SKETCH_SIZE distinct words)
+ * @param {number[]} a - Sketch of the first set
+ * @param {number[]} b - Sketch of the second set
+ * @returns {number} Estimated Jaccard index (0-1)
+ */
+function estimateJaccard(a, b) {
+  const { union, shared } = mergeSketches(a, b);
+  return union.length > 0 ? shared / union.length : 1;
+}
+
+/**
+ * Text of the element's own text nodes, excluding descendant elements
+ * @param {Object} node - domhandler element node
+ * @returns {string} Normalized direct text
+ */
+function directText(node) {
+  return (node.children || [])
+    .filter(child => child.type === 'text')
+    .map(child => child.data)
+    .join(' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Describe an added or removed element subtree
+ * @param {Object} node - domhandler element node
+ * @returns {Object} Element description
+ */
+function describeElement(node) {
+  const text = getNodeText(node);
+  const contains = {};
+
+  const walk = (current) => {
+    (current.children || []).filter(isElement).forEach(child => {
+      const category = getElementCategory(child);
+      if (category !== 'block') contains[category] = (contains[category] || 0) + 1;
+      walk(child);
+    });
+  };
+  walk(node);
+
+  return {
+    tag: node.name,
+    category: getElementCategory(node),
+    selector: getCssPath(node),
+    text: preview(text),
+    wordCount: countWords(text),
+    contains
+  };
+}
+
+/**
+ * Count entries by category, including categories nested inside them
+ * @param {Array} entries - Added or removed element descriptions
+ * @returns {Object} Counts keyed by category
+ */
+function countCategories(entries) {
+  const counts = {};
+  entries.forEach(entry => {
+    counts[entry.category] = (counts[entry.category] || 0) + 1;
+    Object.entries(entry.contains).forEach(([category, count]) => {
+      counts[category] = (counts[category] || 0) + count;
+    });
+  });
+  return counts;
+}
+
+/**
+ * Truncate text for reporting
+ * @param {string} text - Normalized text
+ * @returns {string} Text preview
+ */
+function preview(text) {
+  return text.length > TEXT_PREVIEW_LENGTH ? `${text.slice(0, TEXT_PREVIEW_LENGTH)}…` : text;
+}
@@ -0,0 +1,166 @@
+/**
+ * Structured data visibility analysis
+ * Extracts JSON-LD, microdata and RDFa entities and compares what crawlers
+ * see in the initial HTML with what exists after JavaScript runs
+ */
+
+import * as cheerio from 'cheerio';
+import { safeJsonParse } from './utils.js';
+
+/**
+ * Extract structured data entities from HTML
+ * @param {string} htmlContent - Raw HTML content
+ * @returns {Object} { entities, types } - entities as {format, type, properties} and
+ *   a map of type name to sorted property names across all formats
+ */
+export function extractStructuredData(htmlContent) {
+  if (!htmlContent) return { entities: [], types: {} };
+
+  const $ = cheerio.load(htmlContent);
+  const entities = [
+    ...extractJsonLd($),
+    ...extractMicrodata($),
+    ...extractRdfa($)
+  ];
+
+  const types = {};
+  entities.forEach(entity => {
+    const props = new Set(types[entity.type] || []);
+    entity.properties.forEach(p => props.add(p));
+    types[entity.type] = [...props].sort();
+  });
+
+  return { entities, types };
+}
+
+/**
+ * Compare structured data between the initial and rendered HTML
+ * @param {string} initialHtml - HTML as seen by crawlers/AI
+ * @param {string} renderedHtml - HTML as seen by users (fully loaded)
+ * @returns {Object} Per-version data plus types/properties that only exist in one version
+ */
+export function compareStructuredData(initialHtml, renderedHtml) {
+  const initial = extractStructuredData(initialHtml);
+  const rendered = extractStructuredData(renderedHtml);
+
+  const typesOnlyRendered = Object.keys(rendered.types).filter(type => !initial.types[type]);
+  const typesOnlyInitial = Object.keys(initial.types).filter(type => !rendered.types[type]);
+
+  const propertiesOnlyRendered = {};
+  Object.keys(rendered.types)
+    .filter(type => initial.types[type])
+    .forEach(type => {
+      const missing = rendered.types[type].filter(p => !initial.types[type].includes(p));
+      if (missing.length > 0) propertiesOnlyRendered[type] = missing;
+    });
+
+  return {
+    initial,
+    rendered,
+    typesOnlyRendered,
+    typesOnlyInitial,
+    propertiesOnlyRendered,
+    summary: {
+      initialEntities: initial.entities.length,
+      renderedEntities: rendered.entities.length,
+      jsOnlyTypes: typesOnlyRendered.length,
+      jsOnlyProperties: Object.values(propertiesOnlyRendered).reduce((sum, props) => sum + props.length, 0)
+    }
+  };
+}
+
+/**
+ * Extract entities from JSON-LD script blocks, including nested and @graph nodes
+ * @param {CheerioAPI} $ - Cheerio instance
+ * @returns {Array} Entities
+ */
+function extractJsonLd($) {
+  const entities = [];
+
+  const visit = (value) => {
+    if (Array.isArray(value)) {
+      value.forEach(visit);
+      return;
+    }
+    if (!value || typeof value !== 'object') return;
+
+    if (value['@type']) {
+      const properties = Object.keys(value).filter(key => !key.startsWith('@'));
+      [].concat(value['@type']).forEach(type => {
+        entities.push({ format: 'json-ld', type: normalizeType(type), properties });
+      });
+    }
+    Object.keys(value).forEach(key => {
+      if (key !== '@context') visit(value[key]);
+    });
+  };
+
+  $('script[type="application/ld+json"]').each((i, el) => {
+    visit(safeJsonParse($(el).text().trim()));
+  });
+
+  return entities;
+}
+
+/**
+ * Extract microdata items (itemscope/itemtype/itemprop)
+ * @param {CheerioAPI} $ - Cheerio instance
+ * @returns {Array} Entities
+ */
+function extractMicrodata($) {
+  const entities = [];
+
+  $('[itemscope]').each((i, el) => {
+    const itemtype = $(el).attr('itemtype');
+    if (!itemtype) return;
+
+    // Properties belong to the nearest enclosing item
+    const properties = new Set();
+    $(el).find('[itemprop]').each((j, prop) => {
+      if ($(prop).parent().closest('[itemscope]')[0] === el) {
+        $(prop).attr('itemprop').split(/\s+/).filter(Boolean).forEach(name => properties.add(name));
+      }
+    });
+
+    itemtype.split(/\s+/).filter(Boolean).forEach(type => {
+      entities.push({ format: 'microdata', type: normalizeType(type), properties: [...properties] });
+    });
+  });
+
+  return entities;
+}
+
+/**
+ * Extract RDFa entities (typeof/property)
+ * @param {CheerioAPI} $ - Cheerio instance
+ * @returns {Array} Entities
+ */
+function extractRdfa($) {
+  const entities = [];
+
+  $('[typeof]').each((i, el) => {
+    const properties = new Set();
+    $(el).find('[property]').each((j, prop) => {
+      if ($(prop).parent().closest('[typeof]')[0] === el) {
+        $(prop).attr('property').split(/\s+/).filter(Boolean).forEach(name => properties.add(normalizeType(name)));
+      }
+    });
+
+    $(el).attr('typeof').split(/\s+/).filter(Boolean).forEach(type => {
+      entities.push({ format: 'rdfa', type: normalizeType(type), properties: [...properties] });
+    });
+  });
+
+  return entities;
+}
+
+/**
+ * Strip schema.org URLs and prefixes from a type or property name
+ * @param {string} name - e.g. "https://schema.org/Product" or "schema:Product"
+ * @returns {string} Bare name, e.g. "Product"
+ */
+function normalizeType(name) {
+  return String(name)
+    .replace(/^https?:\/\/(www\.)?schema\.org\//i, '')
+    .replace(/^schema:/i, '');
+}
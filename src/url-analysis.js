@@ -0,0 +1,216 @@
+/**
+ * URL-based analysis
+ * Fetches a page as a crawler would (its user agent, no JavaScript), fetches
+ * and renders it as a browser for the user's view and compares the two
+ */
+
+import { analyzeContentDifference, generateVisibilityScore } from './analyzer.js';
+import { resolveCrawlerProfile } from './crawlers.js';
+import { renderPage } from './render.js';
+import { checkCrawlerAccess } from './robots.js';
+
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+
+/**
+ * Fetch the raw HTML of a URL, following redirects manually so each hop is recorded
+ * @param {string} url - Page URL
+ * @param {Object} [options={}] - Fetch options
+ * @param {Function} [options.fetcher=globalThis.fetch] - fetch-compatible function (url, init) resolving to
+ *   { status, headers, text() }; headers may be a Headers instance or a plain object
+ * @param {string|Object} [options.userAgent="gptbot"] - Crawler profile id, raw user agent or profile, see resolveCrawlerProfile
+ * @param {Object} [options.headers] - Extra request headers
+ * @param {number} [options.maxRedirects=10] - Redirects followed before failing
+ * @param {number} [options.timeout=10000] - Milliseconds before the whole fetch fails
+ * @returns {Promise<Object>} { url, finalUrl, status, ok, headers, redirects, html, crawler }
+ *   - redirects: {url, status, location} per hop
+ */
+export async function fetchPage(url, options = {}) {
+  const { fetcher = globalThis.fetch, userAgent, headers = {}, maxRedirects = 10, timeout = 10000 } = options;
+  if (typeof fetcher !== 'function') {
+    throw new Error('fetchPage needs a fetcher function (global fetch is not available)');
+  }
+
+  const crawler = resolveCrawlerProfile(userAgent);
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+  const redirects = [];
+  let current = url;
+
+  try {
+    for (;;) {
+      const response = await fetcher(current, {
+        method: 'GET',
+        redirect: 'manual',
+        signal: controller.signal,
+        headers: {
+          'user-agent': crawler.userAgent,
+          accept: 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.8',
+          ...headers
+        }
+      });
+      const responseHeaders = normalizeHeaders(response.headers);
+
+      if (REDIRECT_STATUSES.has(response.status) && responseHeaders.location) {
+        if (redirects.length >= maxRedirects) {
+          throw new Error(`Too many redirects fetching ${url}`);
+        }
+        const location = new URL(responseHeaders.location, current).href;
+        redirects.push({ url: current, status: response.status, location });
+        if (response.body && typeof response.body.cancel === 'function') await response.body.cancel();
+        current = location;
+        continue;
+      }
+
+      return {
+        url,
+        finalUrl: current,
+        status: response.status,
+        ok: response.status >= 200 && response.status < 300,
+        headers: responseHeaders,
+        redirects,
+        html: await response.text(),
+        crawler
+      };
+    }
+  } catch (e) {
+    if (controller.signal.aborted) {
+      throw new Error(`Timed out after ${timeout} ms fetching ${url}`);
+    }
+    throw e;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Analyze a URL: the crawler's raw HTML against the rendered page
+ *
+ * The user's view is fetched again with the browser user agent before it is
+ * rendered, so content served differently to crawlers (cloaking) shows up
+ * as a difference. Crawler profiles with the browser's user agent reuse the
+ * first response. Non-2xx responses are analyzed too; check response.status
+ * before trusting the score.
+ *
+ * @param {string} url - Page URL
+ * @param {Object} [options={}] - Options; others are passed to analyzeContentDifference and generateVisibilityScore
+ * @param {Function} [options.fetcher] - fetch-compatible function, see fetchPage
+ * @param {Function} [options.renderer=renderPage] - (html, { baseUrl, userAgent, timeout, headers, crawler }) resolving to
+ *   the rendered HTML string or { html, errors }
+ * @param {string|Object} [options.userAgent="gptbot"] - Crawler whose initial view is fetched, see resolveCrawlerProfile
+ * @param {Object} [options.headers] - Extra request headers
+ * @param {number} [options.maxRedirects=10] - Redirects followed before failing
+ * @param {number} [options.timeout=10000] - Milliseconds allowed for the fetch, and again for rendering
+ * @param {boolean} [options.includeHtml=false] - Keep initialHtml and renderedHtml on the result
+ * @param {boolean} [options.includeRobots=true] - Check crawler access (adds robots; blocked crawlers force the lowest category)
+ * @param {boolean|string} [options.robotsTxt=true] - Fetch /robots.txt with the same fetcher, or pass its content
+ * @param {Array} [options.crawlers] - Crawler profiles to check, see checkCrawlerAccess
+ * @returns {Promise<Object>} analyzeContentDifference result plus { visibilityScore, response, browserResponse, crawler,
+ *   renderErrors, robots }
+ *   - response: { url, finalUrl, status, ok, headers, redirects } of the crawler's request
+ *   - browserResponse: the same for the browser's request (equal to response when it was reused)
+ *   - robots: checkCrawlerAccess result plus robotsTxt: { url, status } when it was fetched
+ */
+export async function analyzeUrl(url, options = {}) {
+  const {
+    fetcher,
+    renderer = renderPage,
+    userAgent,
+    headers,
+    maxRedirects,
+    timeout = 10000,
+    includeHtml = false,
+    includeRobots = true,
+    robotsTxt = true,
+    crawlers,
+    ...analysisOptions
+  } = options;
+
+  const page = await fetchPage(url, { fetcher, userAgent, headers, maxRedirects, timeout });
+  const browser = resolveCrawlerProfile('browser');
+  const browserPage = page.crawler.userAgent === browser.userAgent
+    ? page
+    : await fetchPage(url, { fetcher, userAgent: 'browser', headers, maxRedirects, timeout });
+  const rendered = await renderer(browserPage.html, {
+    baseUrl: browserPage.finalUrl,
+    userAgent: browser.userAgent,
+    timeout,
+    headers: browserPage.headers,
+    crawler: page.crawler
+  });
+  const renderedHtml = typeof rendered === 'string' ? rendered : rendered.html;
+
+  const analysis = analyzeContentDifference(page.html, renderedHtml, { baseUrl: page.finalUrl, ...analysisOptions });
+
+  if (includeRobots) {
+    const robotsFile = robotsTxt === true
+      ? await fetchRobotsTxt(page.finalUrl, { fetcher, userAgent, headers, timeout })
+      : { text: robotsTxt || null };
+    analysis.robots = {
+      ...checkCrawlerAccess(
+        { url: page.finalUrl, robotsTxt: robotsFile.text, headers: page.headers, initialHtml: page.html, renderedHtml },
+        { crawlers }
+      ),
+      ...(robotsFile.url && { robotsTxt: { url: robotsFile.url, status: robotsFile.status } })
+    };
+  }
+
+  return {
+    ...analysis,
+    visibilityScore: generateVisibilityScore(analysis, analysisOptions),
+    response: describeResponse(page),
+    browserResponse: describeResponse(browserPage),
+    crawler: page.crawler,
+    renderErrors: (typeof rendered === 'object' && rendered.errors) || [],
+    ...(includeHtml && { initialHtml: page.html, renderedHtml })
+  };
+}
+
+/**
+ * Fetch the robots.txt that governs a URL
+ *
+ * A 4xx answer means no restrictions and a 5xx answer disallows everything,
+ * as major crawlers treat them; when the file cannot be fetched at all the
+ * robots.txt check is skipped.
+ *
+ * @param {string} url - Page URL
+ * @param {Object} options - fetchPage options
+ * @returns {Promise<Object>} { url, status, text } where text is null when robots.txt is unknown
+ */
+async function fetchRobotsTxt(url, options) {
+  const robotsUrl = new URL('/robots.txt', url).href;
+  try {
+    const response = await fetchPage(robotsUrl, options);
+    let text = response.html;
+    if (response.status >= 500) text = 'User-agent: *\nDisallow: /';
+    else if (response.status >= 400) text = '';
+    return { url: robotsUrl, status: response.status, text };
+  } catch (e) {
+    return { url: robotsUrl, status: null, text: null };
+  }
+}
+
+/**
+ * Response details reported on analyzeUrl results
+ * @param {Object} page - fetchPage result
+ * @returns {Object} { url, finalUrl, status, ok, headers, redirects }
+ */
+function describeResponse(page) {
+  const { url, finalUrl, status, ok, headers, redirects } = page;
+  return { url, finalUrl, status, ok, headers, redirects };
+}
+
+/**
+ * Convert response headers to a plain object with lowercase names
+ * @param {Object} headers - Headers instance, Map-like or plain object
+ * @returns {Object} Header values by lowercase name
+ */
+function normalizeHeaders(headers) {
+  const result = {};
+  if (!headers) return result;
+
+  const entries = typeof headers.entries === 'function' ? [...headers.entries()] : Object.entries(headers);
+  entries.forEach(([name, value]) => {
+    result[name.toLowerCase()] = Array.isArray(value) ? value.join(', ') : String(value);
+  });
+  return result;
+}
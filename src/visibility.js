@@ -0,0 +1,122 @@
+/**
+ * Hidden content classification
+ * Detects elements that users cannot see (hidden attribute, ARIA states,
+ * inline styles, collapsed <details> and simple <style> rules). Works on
+ * both DOMParser and cheerio (domhandler) trees.
+ */
+
+import { getTagName, getAttribute, getChildElements } from './dom-utils.js';
+
+const HIDING_DECLARATION = /(?:^|;|\{)\s*(?:display\s*:\s*none|visibility\s*:\s*(?:hidden|collapse))\s*(?:!important)?\s*(?:;|$|\})/i;
+
+/**
+ * Check whether an element is hidden by its own attributes or inline style
+ * @param {Node} el - DOM or domhandler element
+ * @returns {boolean} True when the element is hidden
+ */
+export function isHiddenElement(el) {
+  if (getAttribute(el, 'hidden') !== null) return true;
+  if ((getAttribute(el, 'aria-hidden') || '').toLowerCase() === 'true') return true;
+
+  const style = getAttribute(el, 'style');
+  return !!style && HIDING_DECLARATION.test(style);
+}
+
+/**
+ * Extract selectors of simple <style> rules that hide elements
+ *
+ * Only top-level rules are considered: at-rules (@media, @supports, ...)
+ * and selectors with pseudo-classes or pseudo-elements are skipped since
+ * their effect depends on viewport or interaction state.
+ *
+ * @param {string} cssText - Stylesheet text
+ * @returns {string[]} Selectors whose declarations hide matching elements
+ */
+export function parseHiddenStyleSelectors(cssText) {
+  if (!cssText) return [];
+
+  const selectors = [];
+  const css = cssText.replace(/\/\*[\s\S]*?\*\//g, '');
+  let depth = 0;
+  let ruleStart = 0;
+  let selectorText = '';
+
+  for (let i = 0; i < css.length; i++) {
+    const ch = css[i];
+    if (ch === '{') {
+      if (depth === 0) {
+        selectorText = css.slice(ruleStart, i).trim();
+        ruleStart = i + 1;
+      }
+      depth++;
+    } else if (ch === '}') {
+      depth--;
+      if (depth === 0) {
+        const declarations = css.slice(ruleStart, i);
+        if (!selectorText.startsWith('@') && HIDING_DECLARATION.test(`;${declarations}`)) {
+          selectorText.split(',')
+            .map(sel => sel.trim())
+            .filter(sel => sel && !sel.includes(':'))
+            .forEach(sel => selectors.push(sel));
+        }
+        ruleStart = i + 1;
+      } else if (depth < 0) {
+        depth = 0;
+        ruleStart = i + 1;
+      }
+    }
+  }
+
+  return selectors;
+}
+
+/**
+ * Collect the topmost hidden nodes under a root
+ * @param {Node} root - Element to search
+ * @param {Object} [options={}] - Classifier options
+ * @param {string[]} [options.styleSelectors=[]] - Selectors from parseHiddenStyleSelectors
+ * @param {Function} [options.query] - Returns the elements matching a selector (required with styleSelectors)
+ * @returns {Node[]} Hidden nodes; descendants of hidden nodes are not listed separately
+ */
+export function collectHiddenNodes(root, options = {}) {
+  const { styleSelectors = [], query = null } = options;
+
+  const styleHidden = new Set();
+  if (query) {
+    styleSelectors.forEach(selector => {
+      try {
+        query(selector).forEach(el => styleHidden.add(el));
+      } catch (e) {
+        // Selector not supported by the DOM implementation - ignore the rule
+      }
+    });
+  }
+
+  const hidden = [];
+  const walk = (node) => {
+    getChildElements(node).forEach(child => {
+      if (isHiddenElement(child) || styleHidden.has(child)) {
+        hidden.push(child);
+        return;
+      }
+
+      // Collapsed <details>: everything but the first <summary> is hidden
+      if (getTagName(child) === 'details' && getAttribute(child, 'open') === null) {
+        const summary = getChildElements(child).find(el => getTagName(el) === 'summary');
+        Array.from(child.childNodes || []).forEach(grandchild => {
+          if (grandchild === summary) {
+            walk(summary);
+          } else if (grandchild.nodeType === 1 || (grandchild.nodeType === 3 && grandchild.nodeValue.trim())) {
+            hidden.push(grandchild);
+          }
+        });
+        return;
+      }
+
+      walk(child);
+    });
+  };
+  walk(root);
+
+  return hidden;
+}
@@ -1,10 +1,13 @@
 import { describe, it, expect } from 'vitest';
 import { 
   analyzeVisibility, 
+  analyzeVisibilityAsync, 
   quickCompare, 
   getCitationReadiness,
   stripTagsToText,
-  calculateSimilarity
+  calculateSimilarity,
+  analyzeContentDifference,
+  generateVisibilityScore
 } from '../src/index.js';
 
 describe('HTML Visibility Analyzer', () => {
@@ -35,8 +38,47 @@ describe('HTML Visibility Analyzer', () => {
     it('should handle empty content', () => {
       const result = analyzeVisibility('', richHtml);
       
-      expect(result.metrics.contentGain).toBeGreaterThanOrEqual(1);
-      expect(result.metrics.citationReadability).toBe(100);
+      expect(result.metrics.contentGain).toBe(1);
+      expect(result.metrics.citationReadability).toBe(0);
+    });
+  });
+  
+  describe('analyzeVisibilityAsync', () => {
+    it('should resolve to the full analysis with score breakdown', async () => {
+      const result = await analyzeVisibilityAsync(simpleHtml, richHtml);
+      
+      expect(result).toHaveProperty('wordDiff');
+      expect(result).toHaveProperty('lineDiff');
+      expect(result).toHaveProperty('initialTextHash');
+      expect(result).toHaveProperty('finalTextHash');
+      expect(result.visibilityScore).toHaveProperty('breakdown');
+      expect(result.wordDiff.addCount).toBeGreaterThan(0);
+    });
+    
+    it('should omit the score when includeScore is false', async () => {
+      const result = await analyzeVisibilityAsync(simpleHtml, richHtml, { includeScore: false });
+      
+      expect(result).not.toHaveProperty('visibilityScore');
+      expect(result).toHaveProperty('metrics');
+    });
+    
+    it('should score identical content the same way as the sync path', async () => {
+      const asyncResult = await analyzeVisibilityAsync(simpleHtml, simpleHtml);
+      const syncResult = analyzeVisibility(simpleHtml, simpleHtml);
+      
+      expect(asyncResult.visibilityScore).toEqual(syncResult.visibilityScore);
+    });
+    
+    it('should match the sync path for a page that is empty before rendering', async () => {
+      const shell = '<html><body><div id="app"></div></body></html>';
+      const rendered = `<html><body><div id="app"><p>${'word '.repeat(300)}</p></div></body></html>`;
+      const asyncResult = await analyzeVisibilityAsync(shell, rendered);
+      const syncResult = analyzeVisibility(shell, rendered);
+      
+      expect(asyncResult.metrics).toMatchObject(syncResult.metrics);
+      expect(syncResult.metrics.citationReadability).toBe(0);
+      expect(syncResult.visibilityScore).toEqual(asyncResult.visibilityScore);
+      expect(getCitationReadiness(shell, rendered).category).toBe(asyncResult.visibilityScore.category);
     });
   });
   
@@ -131,5 +173,32 @@ describe('HTML Visibility Analyzer', () => {
       expect(similarity).toBe(0);
     });
   });
-});
 
+  describe('section visibility', () => {
+    const initialHtml = '<main><h2>Intro</h2> <p>Our oak chair is built to last</p> <h2>Comments</h2></main>';
+    const renderedHtml = '<main><h2>Intro</h2> <p>Our oak chair is built to last</p> <h2>Comments</h2> <p>Nice</p> <p>Love it</p></main>';
+    
+    it('should report visibility per section', () => {
+      const result = analyzeContentDifference(initialHtml, renderedHtml, { sections: true });
+      
+      expect(result.sections).toEqual([
+        { heading: { level: 2, text: 'Intro' }, selector: 'html > body > main > h2:nth-of-type(1)', initialWords: 7, finalWords: 7, missingWords: 0, citationReadability: 100, similarity: 100, weight: 1 },
+        { heading: { level: 2, text: 'Comments' }, selector: 'html > body > main > h2:nth-of-type(2)', initialWords: 0, finalWords: 3, missingWords: 3, citationReadability: 0, similarity: 0, weight: 1 }
+      ]);
+    });
+    
+    it('should weight sections in the visibility score', () => {
+      const equal = analyzeContentDifference(initialHtml, renderedHtml, { sections: true });
+      const weighted = analyzeContentDifference(initialHtml, renderedHtml, {
+        sections: true,
+        sectionWeights: [{ match: /comments/i, weight: 0 }]
+      });
+      
+      expect(weighted.sections[1].weight).toBe(0);
+      expect(generateVisibilityScore(equal).breakdown.citationReadability).toBe(70);
+      expect(generateVisibilityScore(weighted).breakdown.citationReadability).toBe(100);
+      expect(generateVisibilityScore(equal, { sectionWeights: () => 1 }).score).toBe(generateVisibilityScore(equal).score);
+      expect(generateVisibilityScore(weighted).score).toBeGreaterThan(generateVisibilityScore(equal).score);
+    });
+  });
+});
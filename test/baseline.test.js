@@ -0,0 +1,76 @@
+import { describe, it, expect } from 'vitest';
+import { analyzeVisibilityAsync, createBaseline, compareToBaseline, BASELINE_VERSION } from '../src/index.js';
+
+describe('baseline snapshots', () => {
+  const options = { sections: true, outline: true, links: true };
+  const page = (reviews, links = '') => `<html><head><title>Chair</title></head> <body><main>
+    <h1>Oak chair</h1> <p>A sturdy chair made of oak with a soft seat cushion.</p>
+    <h2>Reviews</h2> ${reviews}
+    <nav>${links}</nav>
+  </main></body></html>`;
+  const reviews = '<p>Great chair, very comfortable for long working days at the desk.</p>';
+
+  it('should snapshot an analysis as versioned JSON', async () => {
+    const analysis = await analyzeVisibilityAsync(page(reviews), page(reviews), options);
+    const snapshot = createBaseline(analysis, { label: 'v1.0.0', createdAt: '2026-01-01T00:00:00.000Z' });
+
+    expect(snapshot).toMatchObject({ version: BASELINE_VERSION, label: 'v1.0.0', score: { score: 100, category: 'excellent', profile: 'default' } });
+    expect(snapshot.hashes.initialText).toBe(analysis.initialTextHash);
+    // The <title> is not part of any section, so there is no intro section
+    expect(snapshot.sections.map(s => s.key)).toEqual(['oak chair', 'reviews']);
+    expect(snapshot.sections[1].textHash).toMatch(/^[0-9a-f]+$/);
+    expect(JSON.parse(JSON.stringify(snapshot))).toEqual(snapshot);
+  });
+
+  it('should pass when nothing regressed', async () => {
+    const analysis = await analyzeVisibilityAsync(page(reviews), page(reviews), options);
+    const diff = compareToBaseline(JSON.stringify(createBaseline(analysis)), analysis);
+
+    expect(diff.passed).toBe(true);
+    expect(diff.score.delta).toBe(0);
+    expect(diff.textChanged).toEqual({ initial: false, final: false });
+  });
+
+  it('should report score drops, newly hidden sections and new JS-only links', async () => {
+    const before = await analyzeVisibilityAsync(page(reviews), page(reviews), options);
+    const after = await analyzeVisibilityAsync(page(''), page(reviews, '<a href="/reviews/all">All reviews</a>'), options);
+    const diff = compareToBaseline(createBaseline(before), after);
+
+    expect(diff.passed).toBe(false);
+    expect(diff.textChanged.initial).toBe(true);
+    expect(diff.regressions.map(r => r.type)).toEqual(['score-drop', 'section-hidden', 'js-only-link']);
+    expect(diff.sections.hidden[0]).toMatchObject({ heading: 'Reviews', baselineWords: 11 });
+    expect(diff.links.newJsOnly).toEqual(['/reviews/all']);
+    expect(diff.metrics.citationReadability.delta).toBeLessThan(0);
+  });
+
+  it('should tell sections with the same heading apart', async () => {
+    const twoProducts = (first, second) => `<html><body><main>
+      <h2>Details</h2> ${first}
+      <h2>Details</h2> ${second}
+    </main></body></html>`;
+    const first = '<p>The first product has a walnut frame and brass feet.</p>';
+    const second = '<p>The second product folds flat for storage in small rooms.</p>';
+    // The second section was already client-rendered; now the first one is too
+    const before = await analyzeVisibilityAsync(twoProducts(first, ''), twoProducts(first, second), options);
+    const after = await analyzeVisibilityAsync(twoProducts('', ''), twoProducts(first, second), options);
+    const baseline = createBaseline(before);
+
+    expect(baseline.sections.map(s => s.key)).toEqual(['details', 'details#2']);
+    expect(compareToBaseline(baseline, after).sections.hidden).toEqual([
+      expect.objectContaining({ heading: 'Details', baselineWords: 10 })
+    ]);
+  });
+
+  it('should tolerate small score drops', async () => {
+    const before = createBaseline(await analyzeVisibilityAsync(page(reviews), page(reviews)));
+    const after = await analyzeVisibilityAsync(page(reviews), page(reviews + '<p>One more line.</p>'));
+
+    expect(compareToBaseline(before, after, { tolerance: 10 }).passed).toBe(true);
+    expect(compareToBaseline(before, after, { tolerance: 0 }).regressions[0].type).toBe('score-drop');
+  });
+
+  it('should reject snapshots from newer versions', () => {
+    expect(() => compareToBaseline({ version: BASELINE_VERSION + 1 }, {})).toThrow(`Unsupported baseline version: ${BASELINE_VERSION + 1}`);
+  });
+});
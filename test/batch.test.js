@@ -0,0 +1,143 @@
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import { mkdtemp, writeFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { Worker } from 'worker_threads';
+import { join } from 'path';
+import {
+  analyzeBatch,
+  analyzeBatchStream,
+  summarizeBatch,
+  registerScoringProfile,
+  disableRecommendationRule,
+  enableRecommendationRule
+} from '../src/index.js';
+
+describe('Batch analysis', () => {
+  const same = '<body><main><p>Server rendered article text</p></main></body>';
+  const pages = [
+    { id: 'home', url: 'https://example.com/', initialHtml: same, renderedHtml: same },
+    { id: 'spa', initialHtml: '<body><p>Loading</p></body>', renderedHtml: '<body><p>Loading</p> <p>Client rendered article text with many more words</p></body>' },
+    { id: 'broken', initialHtml: same }
+  ];
+
+  let dir;
+  beforeAll(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'html-visibility-batch-'));
+    await writeFile(join(dir, 'a-initial.html'), same);
+    await writeFile(join(dir, 'a-rendered.html'), same);
+    await writeFile(join(dir, 'manifest.json'), JSON.stringify({
+      pages: [{ id: 'a', initialPath: 'a-initial.html', renderedPath: 'a-rendered.html' }]
+    }));
+  });
+
+  afterAll(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('should analyze pages in-thread and summarize them', async () => {
+    const streamed = [];
+    const { results, summary } = await analyzeBatch(pages, { workers: false, onResult: (r) => streamed.push(r.id) });
+
+    expect(streamed).toEqual(['home', 'spa', 'broken']);
+    expect(results[0]).toMatchObject({ id: 'home', url: 'https://example.com/', score: 100, category: 'excellent' });
+    expect(results[1].findings.map(f => f.id)).toContain('low-citation-readability');
+    expect(results[2].error).toContain('renderedHtml');
+
+    expect(summary).toMatchObject({ pages: 3, analyzed: 2, errors: 1 });
+    expect(summary.byCategory.excellent).toBe(1);
+    expect(summary.histogram['90-100']).toBe(1);
+    expect(summary.worstPages[0].id).toBe('spa');
+    expect(summary.topRecommendations.map(r => [r.id, r.count])).toEqual(
+      expect.arrayContaining([['well-optimized', 1], ['low-citation-readability', 1]])
+    );
+  });
+
+  it('should give the same results with worker threads', async () => {
+    const inThread = await analyzeBatch(pages, { workers: false });
+    const threaded = await analyzeBatch(pages, { concurrency: 2 });
+
+    expect(threaded.results).toEqual(inThread.results);
+    expect(threaded.summary).toEqual(inThread.summary);
+  });
+
+  it('should use registered profiles and disabled rules inside worker threads', async () => {
+    registerScoringProfile('batch-test', { extends: 'strict', weights: { citationReadability: 1 } });
+    disableRecommendationRule('low-citation-readability');
+    try {
+      const options = { scoringProfile: 'batch-test', concurrency: 2 };
+      const threaded = await analyzeBatch(pages, options);
+      const inThread = await analyzeBatch(pages, { ...options, workers: false });
+
+      expect(threaded.results[1].error).toBeUndefined();
+      expect(threaded.results[1].findings.map(f => f.id)).not.toContain('low-citation-readability');
+      expect(threaded.results).toEqual(inThread.results);
+    } finally {
+      enableRecommendationRule('low-citation-readability');
+    }
+  });
+
+  it('should fail the page of a worker that exits and finish the batch', async () => {
+    const postMessage = Worker.prototype.postMessage;
+    // Kill the worker without an error event, as process.exit or the OOM killer would
+    const spy = vi.spyOn(Worker.prototype, 'postMessage').mockImplementation(function (message) {
+      if (message.page.id === 'crash') this.terminate();
+      else postMessage.call(this, message);
+    });
+    try {
+      const crashing = [pages[0], { id: 'crash', initialHtml: same, renderedHtml: same }, pages[1], { ...pages[0], id: 'last' }];
+      const { results, summary } = await analyzeBatch(crashing, { concurrency: 2 });
+
+      expect(results.map(r => r.id)).toEqual(['home', 'crash', 'spa', 'last']);
+      expect(results[1]).toEqual({ index: 1, id: 'crash', url: null, error: expect.stringMatching(/^Worker exited with code \d+$/) });
+      expect(summary).toMatchObject({ pages: 4, analyzed: 3, errors: 1 });
+    } finally {
+      spy.mockRestore();
+    }
+  });
+
+  it('should fail pages that cannot be posted to a worker and terminate every worker', async () => {
+    const listen = vi.spyOn(Worker.prototype, 'on');
+    const terminate = vi.spyOn(Worker.prototype, 'terminate');
+    try {
+      const uncloneable = { id: 'callback', initialHtml: same, renderedHtml: same, transform: () => same };
+      const { results } = await analyzeBatch([uncloneable, ...pages], { concurrency: 2 });
+
+      expect(results.map(r => r.id)).toEqual(['callback', 'home', 'spa', 'broken']);
+      expect(results[0]).toMatchObject({ id: 'callback', error: expect.stringContaining('could not be cloned') });
+      expect(results[1].score).toBe(100);
+      const spawned = listen.mock.calls.filter(([event]) => event === 'message').length;
+      expect(spawned).toBe(2);
+      expect(terminate).toHaveBeenCalledTimes(spawned);
+    } finally {
+      listen.mockRestore();
+      terminate.mockRestore();
+    }
+  });
+
+  it('should use worker threads without a global structuredClone (Node 16)', async () => {
+    const { structuredClone } = globalThis;
+    const spy = vi.spyOn(Worker.prototype, 'postMessage');
+    delete globalThis.structuredClone;
+    try {
+      const { summary } = await analyzeBatch(pages, { concurrency: 2 });
+
+      expect(spy).toHaveBeenCalledTimes(pages.length);
+      expect(summary).toMatchObject({ pages: 3, analyzed: 2 });
+    } finally {
+      globalThis.structuredClone = structuredClone;
+      spy.mockRestore();
+    }
+  });
+
+  it('should read manifest files relative to the manifest', async () => {
+    const results = [];
+    for await (const result of analyzeBatchStream(join(dir, 'manifest.json'))) results.push(result);
+
+    expect(results).toHaveLength(1);
+    expect(results[0]).toMatchObject({ id: 'a', score: 100 });
+  });
+
+  it('should summarize an empty batch', () => {
+    expect(summarizeBatch([])).toMatchObject({ pages: 0, averageScore: 0, medianScore: 0, worstPages: [] });
+  });
+});
@@ -0,0 +1,83 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { mkdtemp, mkdir, writeFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { pathToFileURL } from 'url';
+import { runCli } from '../src/cli.js';
+
+describe('CLI', () => {
+  let dir;
+  const run = async (...argv) => {
+    let stdout = '', stderr = '';
+    const code = await runCli(argv, {
+      stdout: { write: (chunk) => { stdout += chunk; } },
+      stderr: { write: (chunk) => { stderr += chunk; } }
+    });
+    return { code, stdout, stderr };
+  };
+
+  beforeAll(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'html-visibility-'));
+    await mkdir(join(dir, 'initial'));
+    await mkdir(join(dir, 'rendered'));
+    const same = '<body><main><p>Server rendered article text</p></main></body>';
+    await writeFile(join(dir, 'initial', 'good.html'), same);
+    await writeFile(join(dir, 'rendered', 'good.html'), same);
+    await writeFile(join(dir, 'initial', 'spa.html'), '<body><div id="app"></div></body>');
+    await writeFile(join(dir, 'rendered', 'spa.html'), '<body><div id="app"><p>Client rendered article text</p></div></body>');
+    await writeFile(join(dir, 'initial', 'orphan.html'), '<p>No rendered version</p>');
+  });
+
+  afterAll(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('should compare two files as JSON', async () => {
+    const { code, stdout } = await run('compare', join(dir, 'initial', 'good.html'), join(dir, 'rendered', 'good.html'), '--format', 'json');
+    const result = JSON.parse(stdout);
+
+    expect(code).toBe(0);
+    expect(result).toMatchObject({ name: 'good.html', score: 100, category: 'excellent' });
+    expect(result.findings[0].id).toBe('well-optimized');
+  });
+
+  it('should pair files across directories and gate on --fail-under', async () => {
+    const { code, stdout } = await run('compare', join(dir, 'initial'), join(dir, 'rendered'), '--fail-under=80');
+
+    expect(code).toBe(1);
+    expect(stdout).toContain('good.html\n  Score: 100/100 (excellent)');
+    expect(stdout).toContain('spa.html  [FAIL]');
+    expect(stdout).toContain('Pages: 2  Average score: 60  Below 80: 1');
+    expect(stdout).toContain('Skipped orphan.html (missing from rendered)');
+  });
+
+  it('should render a Markdown batch report', async () => {
+    const { code, stdout } = await run('compare', join(dir, 'initial'), join(dir, 'rendered'), '--format', 'markdown', '--no-ignore-nav-footer');
+
+    expect(code).toBe(0);
+    expect(stdout).toContain('| good.html | 100 | excellent | 100% | 0 |');
+    expect(stdout).toContain('## spa.html');
+    expect(stdout).toContain('`low-citation-readability`');
+    expect(stdout).toContain('Skipped: `orphan.html` (missing from rendered)');
+  });
+
+  it('should write JUnit and SARIF for CI', async () => {
+    const junit = await run('compare', join(dir, 'initial'), join(dir, 'rendered'), '--format', 'junit', '--fail-under', '80');
+    expect(junit.code).toBe(1);
+    expect(junit.stdout).toContain('tests="2" failures="1" errors="0"');
+
+    const sarif = await run('compare', join(dir, 'initial'), join(dir, 'rendered'), '--format', 'sarif');
+    const log = JSON.parse(sarif.stdout);
+    expect(log.version).toBe('2.1.0');
+    expect(log.runs[0].results[0]).toMatchObject({ ruleId: 'low-citation-readability', level: 'error' });
+    expect(log.runs[0].results[0].locations[0].physicalLocation.artifactLocation.uri).toBe(pathToFileURL(join(dir, 'rendered', 'spa.html')).href);
+  });
+
+  it('should report usage and input errors with exit code 2', async () => {
+    expect((await run('compare', 'a.html')).code).toBe(2);
+    expect((await run('compare', 'a', 'b', '--format', 'xml')).stderr).toContain('Unknown format: xml');
+    expect((await run('compare', join(dir, 'initial'), join(dir, 'rendered', 'good.html'))).stderr)
+      .toContain('Both arguments must be files or both must be directories');
+    expect((await run('--help')).stdout).toContain('Usage: html-visibility compare');
+  });
+});
@@ -0,0 +1,75 @@
+import { describe, it, expect } from 'vitest';
+import { analyzeForCrawlers, resolveCrawlerProfile } from '../src/index.js';
+
+describe('analyzeForCrawlers', () => {
+  const initialHtml = `<html><head>
+    <script type="application/ld+json">{"@context":"https://schema.org","@type":"Article","headline":"Guide"}</script>
+  </head><body><main>
+    <h1>Guide</h1>
+    <div id="app"></div>
+    <noscript><p>Static summary of the guide for readers without scripts</p></noscript>
+    <p style="display:none">Hidden teaser</p>
+  </main></body></html>`;
+  const renderedHtml = `<html><head>
+    <script type="application/ld+json">{"@context":"https://schema.org","@type":"Article","headline":"Guide"}</script>
+  </head><body><main>
+    <h1>Guide</h1>
+    <div id="app"><p>Static summary of the guide for readers without scripts</p> <p>Full rendered body text</p></div>
+    <p style="display:none">Hidden teaser</p>
+  </main></body></html>`;
+
+  it('should build a per-crawler matrix from each crawler\'s view', () => {
+    const result = analyzeForCrawlers(initialHtml, renderedHtml);
+
+    expect(result.crawlers.map(crawler => crawler.id)).toEqual(['gptbot', 'perplexitybot', 'claudebot', 'googlebot']);
+    expect(result.matrix.score.googlebot).toBe(100);
+    expect(result.matrix.score.gptbot).toBeLessThan(100);
+    expect(result.matrix.missingTypes).toEqual({ gptbot: 1, perplexitybot: 1, claudebot: 1, googlebot: 0 });
+
+    const gptbot = result.crawlers[0];
+    expect(gptbot.capabilities).toEqual({
+      rendersJavaScript: false,
+      readsNoscript: true,
+      readsHiddenContent: true,
+      readsJsonLd: false,
+      byteLimit: null
+    });
+    expect(gptbot.structuredData).toEqual({ types: [], missingTypes: ['Article'] });
+  });
+
+  it('should read noscript and hidden content according to the profile', () => {
+    const [reader, strict] = analyzeForCrawlers(initialHtml, renderedHtml, [
+      'gptbot',
+      { extends: 'gptbot', id: 'strict', readsNoscript: false, readsHiddenContent: false }
+    ]).crawlers;
+
+    // Guide + 9 noscript words + 2 hidden words
+    expect(reader.metrics.wordCount.initial).toBe(12);
+    expect(strict.metrics.wordCount.initial).toBe(1);
+    expect(strict.name).toBe('GPTBot');
+    expect(reader.score).toBeGreaterThan(strict.score);
+  });
+
+  it('should cut the view at the byte limit', () => {
+    const padded = renderedHtml.replace('<main>', `<main><p>${'Intro words here. '.repeat(50)}</p>`);
+    const result = analyzeForCrawlers(padded, padded, [{ extends: 'claudebot', byteLimit: 600 }]);
+    const [crawler] = result.crawlers;
+
+    expect(crawler.id).toBe('claudebot-custom');
+    expect(crawler.truncated).toBe(true);
+    expect(crawler.bytes).toBeGreaterThan(600);
+    expect(crawler.metrics.missingWords).toBeGreaterThan(0);
+    expect(result.matrix.truncated).toEqual({ 'claudebot-custom': true });
+  });
+
+  it('should fill in capabilities of custom profiles', () => {
+    expect(resolveCrawlerProfile({ userAgent: 'MyBot/1.0', rendersJavaScript: true })).toMatchObject({
+      id: 'custom',
+      readsNoscript: false,
+      readsHiddenContent: true,
+      readsJsonLd: false,
+      byteLimit: null
+    });
+    expect(resolveCrawlerProfile('googlebot').byteLimit).toBe(15 * 1024 * 1024);
+  });
+});
@@ -0,0 +1,70 @@
+import { describe, it, expect } from 'vitest';
+import { diffTokens, diffTokenArrays } from '../src/diff-engine.js';
+
+/**
+ * Reference LCS length using the classic O(mn) table
+ */
+function lcsLength(a, b) {
+  const dp = Array(a.length + 1).fill(0).map(() => Array(b.length + 1).fill(0));
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      dp[i][j] = a[i - 1] === b[j - 1] ? dp[i - 1][j - 1] + 1 : Math.max(dp[i - 1][j], dp[i][j - 1]);
+    }
+  }
+  return dp[a.length][b.length];
+}
+
+describe('Diff Engine', () => {
+  describe('diffTokens', () => {
+    it('should mark identical text as same', () => {
+      const ops = diffTokens('one two three', 'one two three');
+
+      expect(ops.map(op => op.type)).toEqual(['same', 'same', 'same']);
+    });
+
+    it('should report added and removed words in order', () => {
+      const ops = diffTokens('the quick fox', 'the slow brown fox');
+
+      expect(ops.filter(op => op.type !== 'add').map(op => op.text)).toEqual(['the', 'quick', 'fox']);
+      expect(ops.filter(op => op.type !== 'del').map(op => op.text)).toEqual(['the', 'slow', 'brown', 'fox']);
+      expect(ops.filter(op => op.type === 'same')).toHaveLength(2);
+    });
+
+    it('should handle empty inputs', () => {
+      expect(diffTokens('', '')).toEqual([]);
+      expect(diffTokens('', 'a b')).toEqual([{ type: 'add', text: 'a' }, { type: 'add', text: 'b' }]);
+      expect(diffTokens('a b', '')).toEqual([{ type: 'del', text: 'a' }, { type: 'del', text: 'b' }]);
+    });
+  });
+
+  describe('diffTokenArrays', () => {
+    it('should find a longest common subsequence', () => {
+      let seed = 7;
+      const rand = n => {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        return seed % n;
+      };
+
+      for (let t = 0; t < 500; t++) {
+        const A = Array.from({ length: rand(12) }, () => String(rand(4)));
+        const B = Array.from({ length: rand(12) }, () => String(rand(4)));
+        const ops = diffTokenArrays(A, B);
+
+        expect(ops.filter(op => op.type !== 'add').map(op => op.text)).toEqual(A);
+        expect(ops.filter(op => op.type !== 'del').map(op => op.text)).toEqual(B);
+        expect(ops.filter(op => op.type === 'same')).toHaveLength(lcsLength(A, B));
+      }
+    });
+
+    it('should diff long, similar documents without a full LCS table', () => {
+      const A = Array.from({ length: 50000 }, (_, i) => `w${i % 997}`);
+      const B = A.slice();
+      B.splice(25000, 0, 'inserted', 'words');
+
+      const ops = diffTokenArrays(A, B);
+
+      expect(ops.filter(op => op.type === 'add').map(op => op.text)).toEqual(['inserted', 'words']);
+      expect(ops.filter(op => op.type === 'same')).toHaveLength(50000);
+    });
+  });
+});
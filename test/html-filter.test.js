@@ -0,0 +1,91 @@
+import { describe, it, expect } from 'vitest';
+import { stripTagsToText, loadCheerioDocument, getCheerioText } from '../src/html-filter.js';
+import { resolveFilterOptions } from '../src/filter-rules.js';
+import { stripTagsToText as browserStripTagsToText } from '../src/browser.js';
+
+describe('Configurable content filtering', () => {
+  const html = `
+    <html><body>
+      <div class="mega-menu">Shop Deals</div>
+      <main>
+        <header class="article-header">Article Title</header>
+        <p>Main content</p>
+        <div class="cookie-banner">Accept cookies</div>
+      </main>
+      <aside>Related links</aside>
+      <div id="chat-widget">Chat with us</div>
+    </body></html>`;
+
+  // Run each case through the DOMParser path and the cheerio path
+  const extractors = {
+    dom: (content, options) => stripTagsToText(content, options),
+    cheerio: (content, options) => getCheerioText(loadCheerioDocument(content, options)),
+    browser: (content, options) => browserStripTagsToText(content, options)
+  };
+
+  Object.entries(extractors).forEach(([name, extract]) => {
+    describe(name, () => {
+      it('should remove custom excluded selectors', () => {
+        const text = extract(html, { excludeSelectors: ['.mega-menu', '#chat-widget'] });
+
+        expect(text).not.toContain('Shop Deals');
+        expect(text).not.toContain('Chat with us');
+        expect(text).toContain('Main content');
+      });
+
+      it('should keep included elements even if they match exclusions', () => {
+        const text = extract(html, { includeSelectors: 'main header' });
+
+        expect(text).toContain('Article Title');
+      });
+
+      it('should restrict content to the root selector', () => {
+        const text = extract(html, { rootSelector: 'main', preset: 'cookie-banners' });
+
+        expect(text).toContain('Main content');
+        expect(text).not.toContain('Related links');
+        expect(text).not.toContain('Shop Deals');
+        expect(text).not.toContain('Accept cookies');
+      });
+
+      it('should fall back to the whole document when the root selector matches nothing', () => {
+        expect(extract(html, { rootSelector: 'article' })).toContain('Related links');
+      });
+
+      it('should still accept the legacy boolean flag', () => {
+        expect(extract('<nav>Menu</nav><p>Body</p>', false)).toContain('Menu');
+        expect(extract('<nav>Menu</nav><p>Body</p>', true)).not.toContain('Menu');
+      });
+
+      it('should read <noscript> content only when includeNoscript is set', () => {
+        const content = '<main><p>Body</p> <noscript><p>Fallback &amp; <b>text</b></p> <nav>Menu</nav></noscript></main>';
+
+        expect(extract(content)).not.toContain('Fallback');
+        const text = extract(content, { includeNoscript: true });
+        expect(text).toContain('Fallback & text');
+        expect(text).not.toContain('Menu');
+      });
+
+      it('should name the option and entry of an invalid selector', () => {
+        expect(() => extract(html, { excludeSelectors: ['.promo', 'div['] }))
+          .toThrow(/^Invalid excludeSelectors entry: div\[ \(/);
+        expect(() => extract(html, { rootSelector: 'main:bogus' })).toThrow(/^Invalid rootSelector entry: main:bogus/);
+      });
+    });
+  });
+
+  describe('resolveFilterOptions', () => {
+    it('should merge presets with custom selectors', () => {
+      const rules = resolveFilterOptions({ preset: ['ads', 'article'], excludeSelectors: '.promo' });
+
+      expect(rules.excludeSelectors).toContain('.advertisement');
+      expect(rules.excludeSelectors).toContain('.promo');
+      expect(rules.rootSelector).toBe('article, main, [role="main"]');
+      expect(rules.ignoreNavFooter).toBe(true);
+    });
+
+    it('should reject unknown presets', () => {
+      expect(() => resolveFilterOptions({ preset: 'nope' })).toThrow('Unknown filter preset: nope');
+    });
+  });
+});
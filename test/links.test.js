@@ -0,0 +1,71 @@
+import { describe, it, expect } from 'vitest';
+import { extractLinks, compareLinks } from '../src/index.js';
+
+describe('Links', () => {
+  const baseUrl = 'https://example.com/products/chair';
+
+  it('should resolve and classify links', () => {
+    const html = `<body>
+      <a href="/blog/post">Blog</a>
+      <a href="https://other.com/">Other</a>
+      <a href="#reviews">Reviews</a>
+      <a href="https://example.com/products/chair#specs">Specs</a>
+      <a href="#" onclick="open()">Menu</a>
+      <a href="javascript:void(0)">More</a>
+      <a href="mailto:hi@example.com">Mail</a>
+      <a name="top">Top</a>
+      <a onclick="next()">Next</a>
+      <a href="http://[bad">Broken</a>
+    </body>`;
+    const links = extractLinks(html, { baseUrl });
+
+    expect(links.map(l => [l.type, l.url])).toEqual([
+      ['internal', 'https://example.com/blog/post'],
+      ['external', 'https://other.com/'],
+      ['anchor', '#reviews'],
+      ['anchor', '#specs'],
+      ['javascript', null],
+      ['javascript', null],
+      ['other', 'mailto:hi@example.com'],
+      ['javascript', null],
+      ['other', 'http://[bad']
+    ]);
+    expect(links[4].hasClickHandler).toBe(true);
+    expect(links[7]).toMatchObject({ text: 'Next', hasClickHandler: true });
+  });
+
+  it('should use <base href> when no base URL is given', () => {
+    const links = extractLinks('<head><base href="https://example.com/docs/"></head><body><a href="intro">Intro</a></body>');
+    expect(links[0]).toMatchObject({ type: 'internal', url: 'https://example.com/docs/intro' });
+  });
+
+  it('should report links that only exist after rendering', () => {
+    const initialHtml = '<body><a href="/about">About</a> <a href="/old">Old</a> <a href="#">Menu</a></body>';
+    const renderedHtml = `<body>
+      <a href="/about">About</a>
+      <div id="related"><a href="/blog/a">A</a> <a href="/blog/b">B</a> <a href="/blog/b">B again</a></div>
+      <a href="https://other.com/">Partner</a>
+      <a href="#">Menu</a>
+      <button><a href="#">Load more</a></button>
+      <a href="javascript:void(0)" onclick="filter()">Filter</a>
+      <a id="reviews">Reviews</a>
+    </body>`;
+    const result = compareLinks(initialHtml, renderedHtml, { baseUrl });
+
+    expect(result.onlyRendered.map(l => l.url)).toEqual([
+      'https://example.com/blog/a',
+      'https://example.com/blog/b',
+      'https://other.com/'
+    ]);
+    expect(result.onlyRendered[0].selector).toBe('div#related > a:nth-of-type(1)');
+    expect(result.onlyInitial.map(l => l.url)).toEqual(['https://example.com/old']);
+    expect(result.jsOnly.map(l => l.text)).toEqual(['Load more', 'Filter']);
+    expect(result.summary).toMatchObject({
+      onlyRendered: 3,
+      onlyRenderedInternal: 2,
+      jsOnly: 2,
+      jsOnlyWithClickHandler: 1,
+      undiscoverableSections: { '/blog': 2 }
+    });
+  });
+});
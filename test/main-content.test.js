@@ -0,0 +1,62 @@
+import { describe, it, expect } from 'vitest';
+import { stripTagsToText, loadCheerioDocument, getCheerioText } from '../src/html-filter.js';
+import { analyzeContentDifference } from '../src/analyzer.js';
+
+describe('Main content extraction', () => {
+  const paragraph = 'This paragraph explains the product in detail, with enough words, commas and sentences to look like real article content for the scorer.';
+  const html = `
+    <html><body>
+      <div class="top">
+        <a href="/a">Home</a> <a href="/b">Shop</a> <a href="/c">Blog</a>
+      </div>
+      <div class="layout">
+        <div class="story">
+          <h1>Article Title</h1>
+          <p>${paragraph}</p>
+          <p>${paragraph}</p>
+          <p>${paragraph}</p>
+        </div>
+        <div class="rail">
+          <p><a href="/x">Related: another interesting article about products and more</a></p>
+          <p><a href="/y">Related: yet another interesting article about other things</a></p>
+        </div>
+      </div>
+      <div class="cookie-consent"><p>We use cookies to improve your experience, please accept them all.</p></div>
+    </body></html>`;
+
+  const extractors = {
+    dom: (content, options) => stripTagsToText(content, options),
+    cheerio: (content, options) => getCheerioText(loadCheerioDocument(content, options))
+  };
+
+  Object.entries(extractors).forEach(([name, extract]) => {
+    it(`should isolate the article body (${name})`, () => {
+      const text = extract(html, { contentMode: 'main' });
+
+      expect(text).toContain('Article Title');
+      expect(text).toContain('explains the product');
+      expect(text).not.toContain('Related:');
+      expect(text).not.toContain('We use cookies');
+      expect(text).not.toContain('Shop');
+    });
+
+    it(`should keep the whole page by default (${name})`, () => {
+      expect(extract(html, {})).toContain('We use cookies');
+    });
+
+    it(`should leave pages without scorable blocks untouched (${name})`, () => {
+      expect(extract('<div>Short</div><div>Text</div>', { contentMode: 'main' })).toContain('Short');
+    });
+  });
+
+  it('should reject unknown content modes', () => {
+    expect(() => stripTagsToText(html, { contentMode: 'article' })).toThrow('Unknown content mode: article');
+  });
+
+  it('should be honored by analyzeContentDifference', () => {
+    const analysis = analyzeContentDifference(html, html, { contentMode: 'main' });
+
+    expect(analysis.finalText).not.toContain('Related:');
+    expect(analysis.metrics.citationReadability).toBe(100);
+  });
+});
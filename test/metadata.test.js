@@ -0,0 +1,67 @@
+import { describe, it, expect } from 'vitest';
+import { extractMetadata, compareMetadata, generateVisibilityScore, getCitationReadiness } from '../src/index.js';
+
+describe('Metadata', () => {
+  const body = '<body><main><p>Same content for crawlers and users</p></main></body>';
+  const initialHtml = `<html><head><title>Chair</title><meta property="og:title" content="Chair"></head>${body}</html>`;
+  const renderedHtml = `<html><head>
+      <title>Chair | Shop</title>
+      <meta name="description" content="A comfortable chair">
+      <link rel="canonical" href="https://example.com/chair">
+      <meta name="robots" content="noindex, nofollow">
+      <meta property="og:title" content="Chair">
+      <meta property="og:image" content="https://example.com/chair.png">
+    </head>${body}</html>`;
+
+  it('should extract head metadata', () => {
+    expect(extractMetadata(renderedHtml)).toEqual({
+      title: 'Chair | Shop',
+      description: 'A comfortable chair',
+      canonical: 'https://example.com/chair',
+      robots: 'noindex, nofollow',
+      openGraph: { 'og:title': 'Chair', 'og:image': 'https://example.com/chair.png' }
+    });
+    expect(extractMetadata('<p>No head</p>').title).toBeNull();
+  });
+
+  it('should flag canonical and noindex that only exist after rendering', () => {
+    const result = compareMetadata(initialHtml, renderedHtml);
+    const status = Object.fromEntries(result.fields.map(f => [f.field, f.status]));
+
+    expect(status).toEqual({
+      title: 'changed',
+      description: 'onlyRendered',
+      canonical: 'onlyRendered',
+      robots: 'onlyRendered',
+      'og:title': 'same',
+      'og:image': 'onlyRendered'
+    });
+    expect(result.issues.filter(i => i.severity === 'high').map(i => i.field)).toEqual(['canonical', 'robots']);
+    expect(result.issues.find(i => i.field === 'robots').message).toContain('noindex');
+    // 2 high + 1 medium + 2 low, capped at 25
+    expect(result.summary.penalty).toBe(25);
+  });
+
+  it('should report no issues when metadata matches', () => {
+    const result = compareMetadata(renderedHtml, renderedHtml);
+    expect(result.issues).toEqual([]);
+    expect(result.summary.penalty).toBe(0);
+  });
+
+  it('should lower the visibility score and add recommendations', () => {
+    const metrics = { citationReadability: 100, similarity: 100, contentGain: 1 };
+    const metadata = compareMetadata(initialHtml, renderedHtml);
+
+    expect(generateVisibilityScore({ metrics }).score).toBe(100);
+    expect(generateVisibilityScore({ metrics, metadata }).score).toBe(75);
+    expect(generateVisibilityScore({ metrics, metadata }).breakdown.metadataPenalty).toBe(25);
+
+    // Without includeRobots, the rendered noindex does not block Googlebot (see robots.test.js)
+    const readiness = getCitationReadiness(initialHtml, renderedHtml, { includeMetadata: true });
+    expect(readiness.score).toBe(75);
+    expect(readiness.metadata.summary.issues).toBe(5);
+    expect(readiness.recommendations.some(r => r.startsWith('Canonical URL is only set by JavaScript'))).toBe(true);
+    expect(readiness.recommendations.some(r => r.startsWith('Great job'))).toBe(false);
+    expect(getCitationReadiness(initialHtml, renderedHtml)).not.toHaveProperty('metadata');
+  });
+});
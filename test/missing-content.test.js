@@ -0,0 +1,57 @@
+import { describe, it, expect } from 'vitest';
+import { getMissingContent } from '../src/index.js';
+
+describe('getMissingContent', () => {
+  const initialHtml = `
+    <html><body><main>
+      <h1>Product</h1>
+      <p>Short intro.</p>
+    </main></body></html>`;
+  const renderedHtml = `
+    <html><body><main>
+      <h1>Product</h1>
+      <p>Short intro.</p>
+      <section id="reviews">
+        <h2>Reviews</h2>
+        <p>Great value and very fast shipping overall</p>
+      </section>
+      <div class="faq"><p>Ships worldwide</p></div>
+    </main></body></html>`;
+
+  it('should list passages that only exist in the rendered HTML, largest first', () => {
+    const report = getMissingContent(initialHtml, renderedHtml);
+
+    expect(report.passageCount).toBe(1);
+    expect(report.passages[0].text).toBe('Reviews Great value and very fast shipping overall Ships worldwide');
+    expect(report.totalMissingWords).toBe(report.passages[0].wordCount);
+  });
+
+  it('should map passages to their rendered element and heading', () => {
+    const report = getMissingContent(
+      '<html><body> <h1>Intro</h1> <p>Kept text</p> <h2>Specs</h2> <p>Also kept</p> </body></html>',
+      '<html><body> <h1>Intro</h1> <p>Kept text</p> <h2>Specs</h2> <p>Also kept</p> <div class="specs"><p>Weight five kilograms</p></div> </body></html>'
+    );
+
+    expect(report.passages).toHaveLength(1);
+    expect(report.passages[0].tag).toBe('p');
+    expect(report.passages[0].selector).toBe('html > body > div.specs > p');
+    expect(report.passages[0].heading).toEqual({ level: 2, text: 'Specs' });
+  });
+
+  it('should rank passages by size and honor minWords', () => {
+    const report = getMissingContent(
+      '<p>alpha beta gamma</p>',
+      '<p>one alpha two three four beta gamma</p>',
+      { minWords: 2 }
+    );
+
+    expect(report.passages.map(p => p.text)).toEqual(['two three four']);
+  });
+
+  it('should report nothing for identical content', () => {
+    const report = getMissingContent(initialHtml, initialHtml);
+
+    expect(report.passages).toEqual([]);
+    expect(report.totalMissingWords).toBe(0);
+  });
+});
@@ -0,0 +1,55 @@
+import { describe, it, expect } from 'vitest';
+import { extractNoscriptContent, compareNoscript, analyzeContentDifference } from '../src/index.js';
+
+describe('noscript fallback', () => {
+  const initialHtml = `<html><head><noscript><link rel="stylesheet" href="/no-js.css"></noscript></head>
+  <body><main>
+    <h1>Pricing</h1>
+    <div id="app"></div>
+    <noscript><p>Starter plan costs ten dollars a month</p> <p>Call us for enterprise pricing</p></noscript>
+    <noscript><img src="/pixel.gif" alt=""></noscript>
+  </main></body></html>`;
+  const renderedHtml = `<html><body><main>
+    <h1>Pricing</h1>
+    <div id="app"><p>Starter plan costs ten dollars a month</p> <p>Team plan costs thirty dollars a month</p></div>
+  </main></body></html>`;
+
+  it('should extract the text of each noscript block in the body', () => {
+    const content = extractNoscriptContent(initialHtml);
+
+    expect(content.blocks).toEqual([{
+      selector: 'html > body > main > noscript:nth-of-type(1)',
+      text: 'Starter plan costs ten dollars a month Call us for enterprise pricing',
+      wordCount: 12
+    }]);
+    expect(content.wordCount).toBe(12);
+    expect(extractNoscriptContent('').blocks).toEqual([]);
+  });
+
+  it('should report how much of the rendered content the fallback covers', () => {
+    const report = compareNoscript(initialHtml, renderedHtml);
+
+    // Pricing + 7 starter words + 7 team words
+    expect(report.renderedWords).toBe(15);
+    expect(report.fallbackWords).toBe(12);
+    expect(report.coveredWords).toBe(7);
+    expect(report.coverage).toBe(47);
+    expect(report.staleWords).toBe(5);
+    expect(report.blocks[0]).toMatchObject({ matchedWords: 7, accuracy: 58 });
+    expect(report.initial).toEqual({
+      withoutNoscript: { words: 1, citationReadability: 7 },
+      withNoscript: { words: 13, citationReadability: 87 }
+    });
+  });
+
+  it('should count the fallback in the initial view when noscriptFallback is set', () => {
+    const plain = analyzeContentDifference(initialHtml, renderedHtml);
+    const withFallback = analyzeContentDifference(initialHtml, renderedHtml, { noscriptFallback: true, noscript: true });
+
+    expect(plain.metrics.wordCount).toMatchObject({ initial: 1, final: 15 });
+    expect(plain.noscript).toBeUndefined();
+    expect(withFallback.metrics.wordCount).toMatchObject({ initial: 13, final: 15 });
+    expect(withFallback.initialText).toContain('Call us for enterprise pricing');
+    expect(withFallback.noscript.coverage).toBe(47);
+  });
+});
@@ -0,0 +1,71 @@
+import { describe, it, expect } from 'vitest';
+import { buildOutline, compareOutline } from '../src/index.js';
+
+describe('Outline', () => {
+  const initialHtml = `<html><body>
+    <main>
+      <h1>Chair</h1> <p>A comfortable chair.</p>
+      <h3>Specs</h3> <p>Oak and steel.</p>
+      <h2>Reviews</h2>
+    </main>
+  </body></html>`;
+  const renderedHtml = `<html><body>
+    <main>
+      <h1>Chair</h1> <p>A comfortable chair.</p>
+      <h2>Specs</h2> <p>Oak and steel, 90 cm tall.</p>
+      <h2>Reviews</h2> <p>Great value for money.</p>
+      <section><h2>FAQ</h2> <p>Does it fold? No.</p></section>
+    </main>
+  </body></html>`;
+
+  it('should build headings, landmarks and sections', () => {
+    const outline = buildOutline(renderedHtml);
+
+    expect(outline.headings.map(h => [h.level, h.text, h.parent])).toEqual([
+      [1, 'Chair', null],
+      [2, 'Specs', 'Chair'],
+      [2, 'Reviews', 'Chair'],
+      [2, 'FAQ', 'Chair']
+    ]);
+    expect(outline.landmarks.map(l => [l.role, l.heading && l.heading.text])).toEqual([
+      ['main', 'Chair'],
+      ['region', 'FAQ']
+    ]);
+    expect(outline.sections.map(s => [s.heading.text, s.wordCount])).toEqual([
+      ['Chair', 3],
+      ['Specs', 6],
+      ['Reviews', 4],
+      ['FAQ', 4]
+    ]);
+  });
+
+  it('should leave <head> text out of sections and count words with the tokenizer', () => {
+    const outline = buildOutline('<html><head><title>Chair | Shop</title></head><body><p>Hello , world</p><h2>Specs</h2></body></html>');
+
+    expect(outline.sections[0]).toEqual({ heading: null, selector: null, text: 'Hello , world', wordCount: 2 });
+  });
+
+  it('should report missing headings, hierarchy changes and absent sections', () => {
+    const result = compareOutline(initialHtml, renderedHtml);
+
+    expect(result.missingHeadings.map(h => h.text)).toEqual(['FAQ']);
+    expect(result.removedHeadings).toEqual([]);
+    expect(result.hierarchyChanges).toEqual([
+      { type: 'level', text: 'Specs', selector: expect.any(String), initialLevel: 3, renderedLevel: 2 }
+    ]);
+    expect(result.missingLandmarks.map(l => l.role)).toEqual(['region']);
+    expect(result.sections.map(s => [s.heading.text, s.status, s.missingWords])).toEqual([
+      ['Chair', 'visible', 0],
+      ['Specs', 'partial', 4],
+      ['Reviews', 'empty', 4],
+      ['FAQ', 'missing', 4]
+    ]);
+    expect(result.absentSections.map(s => s.heading.text)).toEqual(['Reviews', 'FAQ']);
+    expect(result.summary).toMatchObject({ missingHeadings: 1, hierarchyChanges: 1, absentSections: 2 });
+  });
+
+  it('should track content before the first heading', () => {
+    const result = compareOutline('<body><p>Intro</p></body>', '<body><p>Intro text</p><h2>Later</h2></body>');
+    expect(result.sections[0]).toMatchObject({ heading: null, status: 'partial', missingWords: 1 });
+  });
+});
@@ -0,0 +1,56 @@
+import { describe, it, expect } from 'vitest';
+import { createTextContext } from '../src/pipeline.js';
+import { generateDiffReport, calculateSimilarity } from '../src/diff-engine.js';
+import { extractTextVariants, stripTagsToText } from '../src/html-filter.js';
+import { analyzeBothScenarios, analyzeContentDifference } from '../src/analyzer.js';
+
+describe('Analysis Pipeline', () => {
+  const initText = 'Welcome to our store. Browse products.';
+  const finText = 'Welcome to our store. Browse featured products and reviews.';
+
+  describe('createTextContext', () => {
+    it('should match the standalone diff and similarity functions', () => {
+      const ctx = createTextContext(initText, finText);
+
+      expect(ctx.wordDiff).toEqual(generateDiffReport(initText, finText, 'word'));
+      expect(ctx.lineDiff).toEqual(generateDiffReport(initText, finText, 'line'));
+      expect(ctx.similarity).toBe(calculateSimilarity(initText, finText));
+    });
+
+    it('should compute each diff only once', () => {
+      const ctx = createTextContext(initText, finText);
+
+      expect(ctx.wordDiff).toBe(ctx.wordDiff);
+      expect(ctx.initialTokens).toBe(ctx.initialTokens);
+    });
+
+    it('should handle empty texts', () => {
+      expect(createTextContext('', '').similarity).toBe(100);
+      expect(createTextContext('', finText).similarity).toBe(0);
+      expect(createTextContext('', finText).wordDiff.summary).toBe('No text to compare');
+    });
+  });
+
+  describe('extractTextVariants', () => {
+    it('should extract both filtered and unfiltered text', () => {
+      const html = '<html><body><nav>Menu</nav><p>Content</p><footer>Footer</footer></body></html>';
+      const texts = extractTextVariants(html);
+
+      expect(texts.withNavFooter).toBe(stripTagsToText(html, false));
+      expect(texts.withoutNavFooter).toBe(stripTagsToText(html, true));
+    });
+  });
+
+  describe('analyzeBothScenarios', () => {
+    it('should match per-scenario analyses', () => {
+      const initHtml = '<html><body><nav>Menu</nav><p>Welcome</p></body></html>';
+      const finHtml = '<html><body><nav>Menu</nav><p>Welcome back</p></body></html>';
+      const both = analyzeBothScenarios(initHtml, finHtml);
+
+      expect(both.withNavFooterIgnored.fullAnalysis)
+        .toEqual(analyzeContentDifference(initHtml, finHtml, { ignoreNavFooter: true }));
+      expect(both.withoutNavFooterIgnored.fullAnalysis)
+        .toEqual(analyzeContentDifference(initHtml, finHtml, { ignoreNavFooter: false }));
+    });
+  });
+});
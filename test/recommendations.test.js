@@ -0,0 +1,71 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getCitationReadiness,
+  evaluateRecommendations,
+  registerRecommendationRule,
+  disableRecommendationRule,
+  resetRecommendationRules,
+  recommendationRules
+} from '../src/index.js';
+import { hasCustomRecommendationRules } from '../src/recommendations.js';
+
+describe('Recommendation rules', () => {
+  const initialHtml = '<html><head><title>Shop</title></head><body><main><p>Welcome</p></main></body></html>';
+  const renderedHtml = `<html><head><title>Shop</title><link rel="canonical" href="https://example.com/"></head><body><main><p>Welcome</p> <section><p>${'Product details and reviews. '.repeat(300)}</p></section></main></body></html>`;
+
+  it('should return structured findings with ids, severities, evidence and fixes', () => {
+    const result = getCitationReadiness(initialHtml, renderedHtml, { includeMetadata: true });
+    const ids = result.findings.map(f => f.id);
+
+    expect(ids).toEqual(['low-citation-readability', 'js-content-gain', 'missing-content', 'metadata-canonical']);
+    expect(result.recommendations).toEqual(result.findings.map(f => f.message));
+
+    const missing = result.findings.find(f => f.id === 'missing-content');
+    expect(missing.severity).toBe('medium');
+    expect(missing.evidence.missingWords).toBe(1200);
+    expect(missing.evidence.passages[0]).toMatchObject({ wordCount: 1200, selector: 'html > body > main > section > p' });
+    expect(missing.fix).toEqual(expect.any(String));
+
+    const canonical = result.findings.find(f => f.id === 'metadata-canonical');
+    expect(canonical.severity).toBe('high');
+    expect(canonical.evidence.fields[0]).toMatchObject({ field: 'canonical', status: 'onlyRendered' });
+  });
+
+  it('should report the well-optimized finding only without other findings', () => {
+    const html = '<body><p>Everything is server rendered</p></body>';
+    expect(getCitationReadiness(html, html).findings.map(f => f.id)).toEqual(['well-optimized']);
+  });
+
+  it('should let users disable, override and register rules', () => {
+    const metrics = { citationReadability: 40, contentGain: 5, missingWords: 10, wordCount: {} };
+
+    disableRecommendationRule('js-content-gain');
+    registerRecommendationRule({ id: 'low-citation-readability', severity: 'critical' });
+    registerRecommendationRule({
+      id: 'custom-gain',
+      severity: 'low',
+      check: (context) => (context.metrics.contentGain > 4 ? { contentGain: context.metrics.contentGain } : null),
+      message: ({ contentGain }) => `Content grows ${contentGain}x after rendering`,
+      fix: 'Check the hydration payload'
+    });
+
+    try {
+      const findings = evaluateRecommendations({ metrics }, { disableRules: ['well-optimized'] });
+      expect(findings.map(f => [f.id, f.severity])).toEqual([
+        ['low-citation-readability', 'critical'],
+        ['custom-gain', 'low']
+      ]);
+      expect(findings[1].message).toBe('Content grows 5x after rendering');
+    } finally {
+      resetRecommendationRules();
+    }
+
+    expect(evaluateRecommendations({ metrics }).map(f => [f.id, f.severity])).toEqual([
+      ['low-citation-readability', 'high'],
+      ['js-content-gain', 'medium']
+    ]);
+    expect(recommendationRules.some(rule => rule.id === 'custom-gain')).toBe(false);
+    expect(hasCustomRecommendationRules()).toBe(false);
+    expect(() => registerRecommendationRule({ id: 'broken' })).toThrow('needs a check function');
+  });
+});
@@ -0,0 +1,64 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { mkdtemp, mkdir, writeFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { renderPage, createFileResourceLoader, analyzeVisibility } from '../src/index.js';
+
+describe('renderPage', () => {
+  let dir;
+
+  beforeAll(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'html-visibility-render-'));
+    await mkdir(join(dir, 'js'));
+    await writeFile(join(dir, 'js', 'app.js'), "document.getElementById('app').innerHTML = '<p>Client rendered article text</p>';");
+  });
+
+  afterAll(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('should run inline scripts and return the rendered HTML', async () => {
+    const html = `<html><body><div id="app"></div>
+      <script>document.getElementById('app').innerHTML = '<h1>Rendered</h1>';</script></body></html>`;
+    const result = await renderPage(html);
+
+    expect(result.html).toContain('<div id="app"><h1>Rendered</h1></div>');
+    expect(result.errors).toEqual([]);
+  });
+
+  it('should load scripts through a local resource loader', async () => {
+    const html = '<html><body><main id="app"></main> <script src="js/app.js"></script><script src="https://cdn.example.net/x.js"></script></body></html>';
+    const { html: renderedHtml, url } = await renderPage(html, {
+      baseUrl: 'https://example.com/blog/post',
+      resourceLoader: createFileResourceLoader(dir, 'https://example.com/blog/')
+    });
+
+    expect(url).toBe('https://example.com/blog/post');
+    expect(renderedHtml).toContain('<p>Client rendered article text</p>');
+
+    const analysis = analyzeVisibility(html, renderedHtml);
+    expect(analysis.metrics.wordCount).toMatchObject({ initial: 0, final: 4 });
+  });
+
+  it('should wait for a selector or predicate', async () => {
+    const html = `<body><script>setTimeout(() => {
+      const section = document.createElement('section');
+      section.className = 'reviews';
+      section.textContent = 'Five stars';
+      document.body.append(section);
+    }, 60);</script></body>`;
+
+    expect((await renderPage(html)).html).not.toContain('<section');
+    expect((await renderPage(html, { waitFor: '.reviews' })).html).toContain('<section class="reviews">Five stars</section>');
+    expect((await renderPage(html, { waitFor: (window) => window.document.querySelectorAll('section').length > 0 })).html)
+      .toContain('Five stars</section>');
+  });
+
+  it('should time out and report script errors', async () => {
+    await expect(renderPage('<body></body>', { waitFor: '#never', timeout: 100 }))
+      .rejects.toThrow('Rendering timed out after 100 ms waiting for "#never"');
+
+    const { errors } = await renderPage('<body><script>undefinedFunction();</script></body>');
+    expect(errors[0]).toMatch(/undefinedFunction/);
+  });
+});
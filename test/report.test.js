@@ -0,0 +1,57 @@
+import { describe, it, expect } from 'vitest';
+import { renderHtmlReport, analyzeVisibilityAsync, getMissingContent } from '../src/index.js';
+
+describe('renderHtmlReport', () => {
+  const unchanged = Array.from({ length: 40 }, (_, i) => `word${i}`).join(' ');
+  const initialHtml = `<body><main><p>${unchanged}</p></main></body>`;
+  const renderedHtml = `<body><main><p>${unchanged}</p> <section><p>Reviews &amp; <b>ratings</b> from buyers</p></section></main></body>`;
+
+  it('should render a self-contained report', async () => {
+    const analysis = await analyzeVisibilityAsync(initialHtml, renderedHtml);
+    const html = renderHtmlReport(analysis, { title: 'Chair <page>', url: 'https://example.com/chair' });
+
+    expect(html.startsWith('<!DOCTYPE html>')).toBe(true);
+    expect(html).toContain('<title>Chair &lt;page&gt;</title>');
+    expect(html).toContain('https://example.com/chair');
+    expect(html).not.toMatch(/<script|<link|src="http/);
+    expect(html).toContain(`aria-label="Score ${analysis.visibilityScore.score} of 100"`);
+    expect(html).toContain('Citation Readability');
+  });
+
+  it('should collapse unchanged runs and highlight additions', async () => {
+    const analysis = await analyzeVisibilityAsync(initialHtml, renderedHtml);
+    const html = renderHtmlReport(analysis, { context: 5 });
+
+    // 40 unchanged words before the change keep 5 words of context
+    expect(html).toContain('<summary>… 35 unchanged words …</summary>');
+    expect(html).toContain('<span class="diff-add">Reviews &amp; ratings from buyers</span>');
+    expect(html).toContain('Side-by-side diff');
+    expect(html).toContain('Inline diff');
+  });
+
+  it('should list missing passages and recommendations', async () => {
+    const analysis = await analyzeVisibilityAsync(initialHtml, renderedHtml);
+    const missingContent = getMissingContent(initialHtml, renderedHtml);
+    const html = renderHtmlReport(analysis, {
+      missingContent,
+      findings: [{ id: 'custom', severity: 'high', message: 'Render <reviews> on the server', fix: 'Use SSR' }]
+    });
+
+    expect(html).toContain('html &gt; body &gt; main &gt; section &gt; p');
+    expect(html).toContain('Render &lt;reviews&gt; on the server');
+    expect(html).toContain('Fix: Use SSR');
+  });
+
+  it('should render metrics-only results without diffs', () => {
+    const html = renderHtmlReport({ metrics: { citationReadability: 100, contentGain: 1, missingWords: 0, similarity: 100 } });
+
+    expect(html).toContain('well-optimized');
+    expect(html).toContain('No missing content');
+    expect(html).not.toContain('Inline diff');
+  });
+
+  it('should reject an analysis without metrics', () => {
+    expect(() => renderHtmlReport({})).toThrow('renderHtmlReport needs an analysis with metrics');
+    expect(() => renderHtmlReport()).toThrow('renderHtmlReport needs an analysis with metrics');
+  });
+});
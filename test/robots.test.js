@@ -0,0 +1,103 @@
+import { describe, it, expect } from 'vitest';
+import { parseRobotsTxt, matchRobotsTxt, parseRobotsDirectives, checkCrawlerAccess, getCitationReadiness } from '../src/index.js';
+
+describe('robots', () => {
+  const robotsTxt = `# Example
+User-agent: GPTBot
+User-agent: ClaudeBot
+Disallow: /private/
+Allow: /private/press$
+Crawl-delay: 5
+
+User-agent: Googlebot
+Disallow: /*.pdf$
+
+User-agent: *
+Disallow: /admin
+Disallow:
+
+Sitemap: https://example.com/sitemap.xml`;
+
+  it('should parse user-agent groups, rules and crawl-delay', () => {
+    const robots = parseRobotsTxt(robotsTxt);
+
+    expect(robots.groups).toHaveLength(3);
+    expect(robots.groups[0]).toEqual({
+      userAgents: ['gptbot', 'claudebot'],
+      rules: [{ type: 'disallow', path: '/private/' }, { type: 'allow', path: '/private/press$' }],
+      crawlDelay: 5
+    });
+    expect(robots.sitemaps).toEqual(['https://example.com/sitemap.xml']);
+  });
+
+  it('should match the most specific group and the longest rule', () => {
+    const robots = parseRobotsTxt(robotsTxt);
+
+    expect(matchRobotsTxt(robots, 'GPTBot', '/private/report')).toMatchObject({ allowed: false, userAgent: 'gptbot', crawlDelay: 5 });
+    expect(matchRobotsTxt(robots, 'GPTBot', '/private/press').allowed).toBe(true);
+    expect(matchRobotsTxt(robots, 'GPTBot', '/private/press/2024').allowed).toBe(false);
+    // GPTBot's own group replaces the * group
+    expect(matchRobotsTxt(robots, 'GPTBot', '/admin').allowed).toBe(true);
+    expect(matchRobotsTxt(robots, 'PerplexityBot', '/admin/users')).toMatchObject({ allowed: false, userAgent: '*' });
+    expect(matchRobotsTxt(robots, 'Googlebot', '/files/guide.pdf').allowed).toBe(false);
+    expect(matchRobotsTxt(robots, 'Googlebot', '/files/guide.pdf?download=1').allowed).toBe(true);
+    expect(matchRobotsTxt('', 'GPTBot', '/anything').allowed).toBe(true);
+  });
+
+  it('should parse X-Robots-Tag directives with user-agent prefixes', () => {
+    expect(parseRobotsDirectives('noindex, max-snippet: 0')).toEqual({ '*': ['noindex', 'max-snippet:0'] });
+    expect(parseRobotsDirectives('googlebot: noindex, nofollow, gptbot: nosnippet')).toEqual({
+      googlebot: ['noindex', 'nofollow'],
+      gptbot: ['nosnippet']
+    });
+  });
+
+  it('should report per-crawler access from robots.txt, headers and meta tags', () => {
+    const access = checkCrawlerAccess({
+      url: 'https://example.com/private/report',
+      robotsTxt,
+      headers: { 'X-Robots-Tag': 'perplexitybot: nosnippet' },
+      initialHtml: '<html><head><meta name="googlebot" content="noindex"></head><body></body></html>'
+    });
+    const byId = Object.fromEntries(access.crawlers.map(crawler => [crawler.id, crawler]));
+
+    expect(access.blocked).toEqual(['gptbot', 'claudebot', 'googlebot']);
+    expect(byId.gptbot).toMatchObject({ fetchable: false, indexable: false, crawlDelay: 5 });
+    expect(byId.gptbot.reasons[0].detail).toBe('Disallow: /private/ (User-agent: gptbot)');
+    expect(byId.googlebot).toMatchObject({ fetchable: true, indexable: false });
+    expect(byId.googlebot.reasons).toEqual([{ source: 'meta', directive: 'noindex', detail: 'meta robots: noindex' }]);
+    expect(byId.perplexitybot).toMatchObject({ fetchable: true, indexable: true, snippetable: false, blocked: false });
+  });
+
+  it('should only read rendered meta tags for crawlers that run JavaScript', () => {
+    const access = checkCrawlerAccess({
+      initialHtml: '<html><head></head><body></body></html>',
+      renderedHtml: '<html><head><meta name="robots" content="noindex"></head><body></body></html>'
+    });
+    expect(access.blocked).toEqual(['googlebot']);
+  });
+
+  it('should force a poor citation readiness result for blocked crawlers', () => {
+    const html = '<html><head></head> <body><main><p>Same content for crawlers and users</p></main></body></html>';
+
+    const open = getCitationReadiness(html, html, { includeRobots: true, url: 'https://example.com/blog', robotsTxt });
+    expect(open.category).toBe('excellent');
+    expect(open.robots.blocked).toEqual([]);
+
+    const blocked = getCitationReadiness(html, html, { includeRobots: true, url: 'https://example.com/private/post', robotsTxt });
+    expect(blocked.score).toBe(49);
+    expect(blocked.category).toBe('poor');
+    expect(blocked.findings[0].id).toBe('robots-blocked');
+    expect(blocked.findings[0].message).toContain('GPTBot (Disallow: /private/ (User-agent: gptbot))');
+    expect(blocked.recommendations.some(r => r.startsWith('Great job'))).toBe(false);
+
+    const snippets = getCitationReadiness(html, html, { includeRobots: true, headers: { 'x-robots-tag': 'nosnippet' } });
+    expect(snippets.category).toBe('excellent');
+    expect(snippets.findings.map(f => f.id)).toEqual(['robots-nosnippet']);
+
+    // Without includeRobots, robots directives never change the result
+    const unchecked = getCitationReadiness(html, html, { url: 'https://example.com/private/post', robotsTxt });
+    expect(unchecked.score).toBe(100);
+    expect(unchecked).not.toHaveProperty('robots');
+  });
+});
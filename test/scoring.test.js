@@ -0,0 +1,60 @@
+import { describe, it, expect } from 'vitest';
+import {
+  generateVisibilityScore,
+  resolveScoringProfile,
+  registerScoringProfile,
+  registerScoringMetric,
+  analyzeVisibility
+} from '../src/index.js';
+
+describe('Scoring profiles', () => {
+  const analysis = { metrics: { citationReadability: 60, similarity: 50, contentGain: 2 } };
+
+  it('should keep the default model and explain each factor', () => {
+    const result = generateVisibilityScore(analysis);
+
+    // 60 * 0.5 + 50 * 0.3 + 50 * 0.2
+    expect(result).toMatchObject({ score: 55, category: 'fair' });
+    expect(result.breakdown).toMatchObject({ citationReadability: 60, similarity: 50, contentGain: 50, profile: 'default' });
+    expect(result.breakdown.factors).toEqual([
+      { name: 'citationReadability', value: 60, weight: 0.5, contribution: 30 },
+      { name: 'similarity', value: 50, weight: 0.3, contribution: 15 },
+      { name: 'contentGain', value: 50, weight: 0.2, contribution: 10 }
+    ]);
+  });
+
+  it('should apply named profiles', () => {
+    expect(generateVisibilityScore(analysis, { scoringProfile: 'editorial' }).score).toBe(57);
+    expect(generateVisibilityScore(analysis, { scoringProfile: 'strict' }).category).toBe('poor');
+    expect(() => resolveScoringProfile('unknown')).toThrow('Unknown scoring profile: unknown');
+  });
+
+  it('should support custom weights, thresholds, labels and metrics', () => {
+    registerScoringMetric('hiddenContent', (a) => 100 - a.metrics.hiddenWords.final);
+    registerScoringProfile('docs', {
+      weights: { citationReadability: 1, hiddenContent: 1 },
+      thresholds: { pass: 75, fail: 0 },
+      labels: { pass: 'Docs are crawlable', fail: 'Docs need SSR' }
+    });
+
+    const result = generateVisibilityScore(
+      { metrics: { ...analysis.metrics, hiddenWords: { initial: 0, final: 10 } } },
+      { scoringProfile: 'docs' }
+    );
+
+    expect(result).toMatchObject({ score: 75, category: 'pass', description: 'Docs are crawlable' });
+    expect(result.breakdown.factors.map(f => [f.name, f.contribution])).toEqual([['citationReadability', 30], ['hiddenContent', 45]]);
+  });
+
+  it('should accept inline profiles and validate metrics', () => {
+    const inline = { extends: 'strict', weights: { custom: 1 }, metrics: { custom: () => 96 } };
+    expect(generateVisibilityScore(analysis, { scoringProfile: inline })).toMatchObject({ score: 96, category: 'excellent' });
+    expect(() => resolveScoringProfile({ weights: { missing: 1 } })).toThrow('Unknown scoring metric: missing');
+  });
+
+  it('should thread the profile through analyzeVisibility', () => {
+    const html = '<p>Same words</p>';
+    const result = analyzeVisibility(html, html, { scoringProfile: { thresholds: { perfect: 100, other: 0 } } });
+    expect(result.visibilityScore.category).toBe('perfect');
+  });
+});
@@ -0,0 +1,96 @@
+import { describe, it, expect } from 'vitest';
+import { toMarkdown, toJUnit, toSarif, getCitationReadiness, generateDiffReport } from '../src/index.js';
+
+describe('serializers', () => {
+  const reviews = Array.from({ length: 1100 }, (_, i) => `review${i}`).join(' ');
+  const initialHtml = '<html><head><title>Chair</title></head> <body><main><p>Oak chair.</p></main></body></html>';
+  const renderedHtml = `<html><head><title>Chair</title><link rel="canonical" href="https://example.com/chair"></head> <body><main><p>Oak chair.</p> <section id="reviews"><p>${reviews}</p></section></main></body></html>`;
+
+  const spa = { name: 'chair.html', rendered: 'rendered/chair.html', ...getCitationReadiness(initialHtml, renderedHtml, { includeMetadata: true }) };
+  const good = { name: 'about.html', ...getCitationReadiness(initialHtml, initialHtml) };
+
+  it('should render Markdown with a summary table for several pages', () => {
+    const markdown = toMarkdown([good, { ...spa, wordDiff: generateDiffReport(initialHtml, renderedHtml) }], { failUnder: 80 });
+
+    expect(markdown.startsWith('# HTML Visibility Report')).toBe(true);
+    expect(markdown).toContain('| about.html | 100 | excellent | 100% | 0 |');
+    expect(markdown).toContain('**Below 80:** 1');
+    expect(markdown).toContain('## chair.html ❌');
+    expect(markdown).toContain('- Word diff: Added:');
+    expect(markdown).toContain('`missing-content`');
+  });
+
+  it('should emit one JUnit testcase per page, failing below the threshold', () => {
+    const xml = toJUnit([good, spa, { name: 'broken & "bad".html', error: 'Cannot read <file>' }], { threshold: 80 });
+
+    expect(xml.startsWith('<?xml version="1.0" encoding="UTF-8"?>')).toBe(true);
+    expect(xml).toContain('tests="3" failures="1" errors="1"');
+    expect(xml.match(/<testcase /g)).toHaveLength(3);
+    expect(xml).toContain(`<failure message="Visibility score ${spa.score} is below 80" type="${spa.category}">`);
+    expect(xml).toContain('name="broken &amp; &quot;bad&quot;.html"');
+    expect(xml).toContain('<error message="Cannot read &lt;file&gt;"/>');
+  });
+
+  it('should map findings to SARIF results located at rendered elements', () => {
+    const sarif = toSarif([spa, good]);
+    const run = sarif.runs[0];
+
+    expect(sarif.version).toBe('2.1.0');
+    expect(run.tool.driver.name).toBe('html-visibility-analyzer');
+    expect(run.results.every(result => run.tool.driver.rules.some(rule => rule.id === result.ruleId))).toBe(true);
+    // The well-optimized info finding of the unchanged page is omitted
+    expect(run.results.some(result => result.ruleId === 'well-optimized')).toBe(false);
+
+    const missing = run.results.find(result => result.ruleId === 'missing-content');
+    expect(missing.level).toBe('warning');
+    expect(missing.locations[0].physicalLocation.artifactLocation).toEqual({ uri: 'rendered/chair.html', uriBaseId: '%SRCROOT%' });
+    expect(missing.locations[0].logicalLocations[0].fullyQualifiedName).toContain('section#reviews');
+
+    // Rule text is the same for every page; messages keep their own punctuation
+    const rule = run.tool.driver.rules.find(candidate => candidate.id === 'missing-content');
+    expect(rule.shortDescription.text).toBe('Large passages are missing from the initial HTML');
+    expect(missing.message.text).toMatch(/strategy\. Fix: Review/);
+
+    expect(rule.defaultConfiguration).toEqual({ level: 'warning' });
+
+    // Metadata rules take their severity from each issue, so only results have a level
+    const canonical = run.results.find(result => result.ruleId === 'metadata-canonical');
+    expect(canonical.level).toBe('error');
+    expect(run.tool.driver.rules.find(candidate => candidate.id === 'metadata-canonical')).not.toHaveProperty('defaultConfiguration');
+    expect(canonical.locations[0].logicalLocations[0].fullyQualifiedName).toBe('link[rel="canonical"]');
+  });
+
+  it('should describe SARIF rules without page details and join fixes after punctuation', () => {
+    const finding = (id, message) => ({ id, severity: 'medium', message, evidence: {}, fix: 'Do it' });
+    const sarif = toSarif([
+      { name: 'a.html', score: 40, findings: [finding('js-content-gain', 'Loaded by JavaScript!'), finding('custom-rule', 'Only 12 words')] },
+      { name: 'b.html', score: 30, findings: [finding('custom-rule', 'Only 3 words')] }
+    ]);
+    const run = sarif.runs[0];
+
+    expect(run.tool.driver.rules.map(rule => [rule.id, rule.shortDescription.text])).toEqual([
+      ['js-content-gain', 'Significant content is loaded via JavaScript'],
+      ['custom-rule', 'Custom rule']
+    ]);
+    expect(run.results.map(result => result.message.text)).toEqual([
+      'Loaded by JavaScript. Fix: Do it',
+      'Only 12 words. Fix: Do it',
+      'Only 3 words. Fix: Do it'
+    ]);
+  });
+
+  it('should turn file paths into SARIF URIs', () => {
+    const finding = { id: 'js-content-gain', severity: 'medium', message: 'Loaded by JavaScript', evidence: {} };
+    const uris = toSarif([
+      { rendered: '/srv/site/new page.html', findings: [finding] },
+      { rendered: 'C:\\site\\page#1.html', findings: [finding] },
+      { url: 'https://example.com/chair', findings: [finding] }
+    ]).runs[0].results.map(result => result.locations[0].physicalLocation.artifactLocation);
+
+    expect(uris).toEqual([
+      { uri: 'file:///srv/site/new%20page.html' },
+      { uri: 'file:///C:/site/page%231.html' },
+      { uri: 'https://example.com/chair' }
+    ]);
+  });
+});
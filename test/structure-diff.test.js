@@ -0,0 +1,93 @@
+import { describe, it, expect } from 'vitest';
+import { compareStructure, analyzeContentDifference } from '../src/index.js';
+
+describe('compareStructure', () => {
+  const initialHtml = `
+    <html><body><main>
+      <h1>Product</h1>
+      <div><p>Description</p></div>
+      <div><p>Shipping info</p></div>
+    </main></body></html>`;
+  const renderedHtml = `
+    <html><body><main>
+      <h1>Product</h1>
+      <div><p>Description</p></div>
+      <section class="faq">
+        <h2>FAQ</h2>
+        <table><tr><td>Size</td></tr></table>
+      </section>
+      <div><p>Shipping info updated</p></div>
+    </main></body></html>`;
+
+  it('should report elements that only appear after rendering', () => {
+    const result = compareStructure(initialHtml, renderedHtml);
+
+    expect(result.added).toHaveLength(1);
+    expect(result.added[0].selector).toBe('html > body > main > section.faq');
+    expect(result.added[0].category).toBe('faq');
+    expect(result.added[0].contains).toEqual({ heading: 1, table: 1 });
+    expect(result.summary.addedByCategory).toEqual({ faq: 1, heading: 1, table: 1 });
+  });
+
+  it('should align unchanged siblings and report changed text', () => {
+    const result = compareStructure(initialHtml, renderedHtml);
+
+    expect(result.removed).toEqual([]);
+    expect(result.changed).toHaveLength(1);
+    expect(result.changed[0]).toMatchObject({
+      tag: 'p',
+      selector: 'html > body > main > div:nth-of-type(2) > p',
+      initialText: 'Shipping info',
+      finalText: 'Shipping info updated'
+    });
+  });
+
+  it('should pair edited siblings by text similarity rather than position', () => {
+    const before = `<html><body><main>
+      <div>Free shipping on all orders over fifty dollars</div>
+      <div>Returns are accepted within thirty days of delivery</div>
+    </main></body></html>`;
+    const after = `<html><body><main>
+      <div>Limited offer ends tonight</div>
+      <div>Free shipping on all orders over forty dollars</div>
+      <div>Returns are accepted within sixty days of delivery</div>
+    </main></body></html>`;
+    const result = compareStructure(before, after);
+
+    expect(result.added.map(entry => entry.text)).toEqual(['Limited offer ends tonight']);
+    expect(result.removed).toEqual([]);
+    expect(result.changed.map(entry => [entry.initialText, entry.finalText])).toEqual([
+      ['Free shipping on all orders over fifty dollars', 'Free shipping on all orders over forty dollars'],
+      ['Returns are accepted within thirty days of delivery', 'Returns are accepted within sixty days of delivery']
+    ]);
+  });
+
+  it('should pair long edited siblings by word overlap', () => {
+    const paragraph = (topic) => Array.from({ length: 100 }, (_, i) => `${topic}${i}`).join(' ');
+    const before = `<html><body><main>
+      <div>${paragraph('ship')} fifty</div>
+      <div>${paragraph('return')} thirty</div>
+    </main></body></html>`;
+    const after = `<html><body><main>
+      <div>${paragraph('offer')}</div>
+      <div>${paragraph('ship')} forty</div>
+      <div>${paragraph('return')} sixty</div>
+    </main></body></html>`;
+    const result = compareStructure(before, after);
+
+    expect(result.added.map(entry => entry.text.split(' ')[0])).toEqual(['offer0']);
+    expect(result.changed.map(entry => entry.finalText.split(' ')[0])).toEqual(['ship0', 'return0']);
+  });
+
+  it('should report removed elements and nothing for identical documents', () => {
+    expect(compareStructure(renderedHtml, initialHtml).removed[0].tag).toBe('section');
+    expect(compareStructure(initialHtml, initialHtml).summary).toMatchObject({ added: 0, removed: 0, changed: 0 });
+  });
+
+  it('should be available from analyzeContentDifference', () => {
+    const analysis = analyzeContentDifference(initialHtml, renderedHtml, { structural: true });
+
+    expect(analysis.structureDiff.summary.added).toBe(1);
+    expect(analyzeContentDifference(initialHtml, renderedHtml)).not.toHaveProperty('structureDiff');
+  });
+});
@@ -0,0 +1,49 @@
+import { describe, it, expect } from 'vitest';
+import { extractStructuredData, compareStructuredData, getCitationReadiness } from '../src/index.js';
+
+describe('Structured data', () => {
+  const jsonLd = (data) => `<script type="application/ld+json">${JSON.stringify(data)}</script>`;
+
+  const initialHtml = `<html><head>${jsonLd({ '@context': 'https://schema.org', '@type': 'Product', name: 'Chair' })}</head>
+    <body><p>A chair</p></body></html>`;
+  const renderedHtml = `<html><head>
+      ${jsonLd({ '@context': 'https://schema.org', '@type': 'Product', name: 'Chair', offers: { '@type': 'Offer', price: '10' } })}
+      ${jsonLd({ '@context': 'https://schema.org', '@graph': [{ '@type': 'FAQPage', mainEntity: [] }] })}
+    </head><body><p>A chair</p></body></html>`;
+
+  it('should extract JSON-LD, microdata and RDFa entities', () => {
+    const html = `
+      ${jsonLd([{ '@type': 'Organization', name: 'Acme' }])}
+      <div itemscope itemtype="https://schema.org/Product">
+        <span itemprop="name">Chair</span>
+        <div itemprop="offers" itemscope itemtype="https://schema.org/Offer"><span itemprop="price">10</span></div>
+      </div>
+      <div vocab="https://schema.org/" typeof="Person"><span property="name">Ada</span></div>
+      <script type="application/ld+json">{ not json</script>`;
+    const { entities, types } = extractStructuredData(html);
+
+    expect(entities.map(e => `${e.format}:${e.type}`)).toEqual([
+      'json-ld:Organization', 'microdata:Product', 'microdata:Offer', 'rdfa:Person'
+    ]);
+    expect(types.Product).toEqual(['name', 'offers']);
+    expect(types.Offer).toEqual(['price']);
+    expect(types.Person).toEqual(['name']);
+  });
+
+  it('should report types and properties that only appear after rendering', () => {
+    const result = compareStructuredData(initialHtml, renderedHtml);
+
+    expect(result.typesOnlyRendered).toEqual(['Offer', 'FAQPage']);
+    expect(result.propertiesOnlyRendered).toEqual({ Product: ['offers'] });
+    expect(result.summary).toMatchObject({ jsOnlyTypes: 2, jsOnlyProperties: 1 });
+  });
+
+  it('should add structured data recommendations to citation readiness', () => {
+    const result = getCitationReadiness(initialHtml, renderedHtml, { includeStructuredData: true });
+
+    expect(result.structuredData.typesOnlyRendered).toContain('FAQPage');
+    expect(result.recommendations.some(r => r.includes('Structured data (Offer, FAQPage)'))).toBe(true);
+    expect(result.recommendations.some(r => r.startsWith('Great job'))).toBe(false);
+    expect(getCitationReadiness(initialHtml, renderedHtml)).not.toHaveProperty('structuredData');
+  });
+});
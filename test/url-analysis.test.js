@@ -0,0 +1,127 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { createServer } from 'http';
+import { analyzeUrl, fetchPage, resolveCrawlerProfile } from '../src/index.js';
+
+describe('analyzeUrl', () => {
+  let server;
+  let origin;
+  const requests = [];
+
+  const pages = {
+    '/old': { status: 301, headers: { location: '/article' } },
+    '/article': {
+      status: 200,
+      headers: { 'content-type': 'text/html', 'x-robots-tag': 'noarchive' },
+      body: '<html><body><main><h1>Article</h1> <div id="app"></div></main> <script src="/app.js"></script></body></html>'
+    },
+    '/app.js': {
+      status: 200,
+      headers: { 'content-type': 'text/javascript' },
+      body: "document.getElementById('app').innerHTML = '<p>Client rendered article text</p>';"
+    },
+    '/loop': { status: 302, headers: { location: '/loop' } },
+    '/robots.txt': { status: 200, headers: { 'content-type': 'text/plain' }, body: 'User-agent: GPTBot\nDisallow: /private\n' },
+    '/private': { status: 200, headers: { 'content-type': 'text/html' }, body: '<body><p>Members only</p></body>' },
+    '/cloaked': {
+      status: 200,
+      headers: { 'content-type': 'text/html' },
+      body: '<body><p>Keyword rich text served to bots</p></body>',
+      browserBody: '<body><p>Short page for people</p></body>'
+    }
+  };
+
+  beforeAll(async () => {
+    server = createServer((req, res) => {
+      requests.push({ url: req.url, userAgent: req.headers['user-agent'] });
+      const page = pages[req.url] || { status: 404, headers: {}, body: 'Not found' };
+      const isBrowser = page.browserBody && req.headers['user-agent'].includes('Chrome/') && !req.headers['user-agent'].includes('Googlebot');
+      res.writeHead(page.status, page.headers);
+      res.end((isBrowser ? page.browserBody : page.body) || '');
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    origin = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('should fetch as a crawler and record redirects, status and headers', async () => {
+    requests.length = 0;
+    const page = await fetchPage(`${origin}/old`, { userAgent: 'claudebot' });
+
+    expect(page).toMatchObject({ finalUrl: `${origin}/article`, status: 200, ok: true });
+    expect(page.redirects).toEqual([{ url: `${origin}/old`, status: 301, location: `${origin}/article` }]);
+    expect(page.headers['x-robots-tag']).toBe('noarchive');
+    expect(page.crawler.name).toBe('ClaudeBot');
+    expect(requests.every(request => request.userAgent.includes('ClaudeBot/1.0'))).toBe(true);
+  });
+
+  it('should stop redirect loops', async () => {
+    await expect(fetchPage(`${origin}/loop`, { maxRedirects: 3 })).rejects.toThrow(`Too many redirects fetching ${origin}/loop`);
+  });
+
+  it('should render with jsdom by default and analyze both views', async () => {
+    const result = await analyzeUrl(`${origin}/old`, { userAgent: 'gptbot', includeHtml: true });
+
+    expect(result.response).toMatchObject({ status: 200, finalUrl: `${origin}/article` });
+    expect(result.response.redirects).toHaveLength(1);
+    expect(result.crawler).toMatchObject({ id: 'gptbot', rendersJavaScript: false });
+    expect(result.renderedHtml).toContain('<p>Client rendered article text</p>');
+    expect(result.metrics.wordCount).toMatchObject({ initial: 1, final: 5 });
+    expect(result.visibilityScore.score).toBeLessThan(100);
+  });
+
+  it('should fetch robots.txt and force a poor result for blocked crawlers', async () => {
+    const renderer = async (html) => html;
+    const allowed = await analyzeUrl(`${origin}/article`, { renderer });
+    const blocked = await analyzeUrl(`${origin}/private`, { renderer });
+
+    expect(allowed.robots.blocked).toEqual([]);
+    expect(blocked.robots.robotsTxt).toEqual({ url: `${origin}/robots.txt`, status: 200 });
+    expect(blocked.robots.blocked).toEqual(['gptbot']);
+    expect(blocked.visibilityScore).toMatchObject({ category: 'poor', breakdown: { robotsBlocked: ['gptbot'] } });
+  });
+
+  it('should accept an injected fetcher and renderer', async () => {
+    const calls = [];
+    const fetcher = async (url, init) => {
+      calls.push([url, init.headers['user-agent']]);
+      return { status: 200, headers: { 'Content-Type': 'text/html' }, text: async () => '<body><p>Server text</p></body>' };
+    };
+    const renderer = async (html, { baseUrl }) => ({ html: html.replace('</p>', `</p> <p>From ${baseUrl}</p>`), errors: ['warning'] });
+
+    const result = await analyzeUrl('https://example.com/page', { fetcher, renderer, userAgent: 'MyBot/2.0', links: true });
+
+    expect(calls).toEqual([
+      ['https://example.com/page', 'MyBot/2.0'],
+      ['https://example.com/page', resolveCrawlerProfile('browser').userAgent],
+      ['https://example.com/robots.txt', 'MyBot/2.0']
+    ]);
+    expect(result.crawler).toMatchObject({ id: 'custom', userAgent: 'MyBot/2.0' });
+    expect(result.response.headers['content-type']).toBe('text/html');
+    expect(result.renderErrors).toEqual(['warning']);
+    expect(result.finalText).toContain('From https://example.com/page');
+    expect(result.links).toBeDefined();
+  });
+
+  it('should fetch the rendered view as a browser so cloaking shows up', async () => {
+    const renderer = async (html) => html;
+    const result = await analyzeUrl(`${origin}/cloaked`, { renderer });
+
+    expect(result.initialText).toContain('Keyword rich text served to bots');
+    expect(result.finalText).toContain('Short page for people');
+    expect(result.metrics.similarity).toBe(0);
+    expect(result.browserResponse).toMatchObject({ finalUrl: `${origin}/cloaked`, status: 200 });
+
+    const asBrowser = await analyzeUrl(`${origin}/cloaked`, { renderer, userAgent: 'browser' });
+    expect(asBrowser.browserResponse).toEqual(asBrowser.response);
+    expect(asBrowser.metrics.similarity).toBe(100);
+  });
+
+  it('should resolve crawler profiles by id or user agent', () => {
+    expect(resolveCrawlerProfile('Googlebot')).toMatchObject({ id: 'googlebot', rendersJavaScript: true });
+    expect(resolveCrawlerProfile('Mozilla/5.0 (compatible; PerplexityBot/1.0)')).toMatchObject({ id: 'perplexitybot', userAgent: 'Mozilla/5.0 (compatible; PerplexityBot/1.0)' });
+    expect(resolveCrawlerProfile().id).toBe('gptbot');
+  });
+});
@@ -0,0 +1,58 @@
+import { describe, it, expect } from 'vitest';
+import { parseHiddenStyleSelectors } from '../src/visibility.js';
+import { stripTagsToText, loadCheerioDocument, getCheerioText } from '../src/html-filter.js';
+import { analyzeContentDifference, analyzeBothScenarios } from '../src/analyzer.js';
+
+describe('Hidden content detection', () => {
+  const html = `
+    <html><head><style>.promo { display: none } .tip:hover { display: none } @media print { .x { display: none } }</style></head>
+    <body>
+      <p>Visible text</p>
+      <p hidden>Hidden attribute</p>
+      <p aria-hidden="true">Aria hidden</p>
+      <p style="color: red; display:none">Inline display none</p>
+      <p style="visibility: hidden">Inline visibility hidden</p>
+      <details><summary>Question</summary>Collapsed answer</details>
+      <details open><summary>Open question</summary>Expanded answer</details>
+      <div class="promo">Style rule hidden</div>
+    </body></html>`;
+
+  const extractors = {
+    dom: (content, options) => stripTagsToText(content, options),
+    cheerio: (content, options) => getCheerioText(loadCheerioDocument(content, options))
+  };
+
+  Object.entries(extractors).forEach(([name, extract]) => {
+    it(`should drop hidden elements when excludeHidden is set (${name})`, () => {
+      const text = extract(html, { excludeHidden: true });
+
+      expect(text).toContain('Visible text');
+      expect(text).toContain('Question');
+      expect(text).toContain('Expanded answer');
+      expect(text).toContain('Style rule hidden');
+      ['Hidden attribute', 'Aria hidden', 'Inline display none', 'Inline visibility hidden', 'Collapsed answer']
+        .forEach(hidden => expect(text).not.toContain(hidden));
+    });
+
+    it(`should honor <style> rules only with hiddenStyles (${name})`, () => {
+      expect(extract(html, { excludeHidden: true, hiddenStyles: true })).not.toContain('Style rule hidden');
+    });
+
+    it(`should keep hidden text by default (${name})`, () => {
+      expect(extract(html, {})).toContain('Collapsed answer');
+    });
+  });
+
+  it('should only parse simple top-level hiding rules', () => {
+    const css = '.a, #b { display:none } .c { color: red } .d:hover { display: none } @media (max-width: 1px) { .e { display: none } } .f { visibility: hidden !important; }';
+
+    expect(parseHiddenStyleSelectors(css)).toEqual(['.a', '#b', '.f']);
+  });
+
+  it('should report hidden words for each version', () => {
+    const analysis = analyzeContentDifference('<p>Visible text</p>', html);
+
+    expect(analysis.metrics.hiddenWords).toEqual({ initial: 0, final: 12 });
+    expect(analyzeBothScenarios('<p>Visible text</p>', html).withNavFooterIgnored.hiddenWords.final).toBe(12);
+  });
+});